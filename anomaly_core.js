@@ -0,0 +1,187 @@
+/**
+ * Anomaly detection shared by the dashboards: flags employee-days whose
+ * volume or AHT is far from the employee's own baseline or from their team's
+ * distribution, and days with suspicious combinations of values.
+ *
+ * Like metrics_core.js this file is DOM-free: in the browser it exposes
+ * `window.AnomalyCore`, under Node it can be `require()`d.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.AnomalyCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const MetricsCore = typeof module === 'object' && module.exports
+        ? require('./metrics_core.js')
+        : root.MetricsCore;
+
+    // |robust z| above this is an outlier against the employee's own days (Iglewicz & Hoaglin)
+    const ROBUST_Z_THRESHOLD = 3.5;
+    // Outside Q1 - k·IQR .. Q3 + k·IQR of the team's employee-days ("far out" values)
+    const IQR_MULTIPLIER = 3;
+    // Fewer samples than this give no usable baseline / distribution
+    const MIN_BASELINE_DAYS = 5;
+    const MIN_TEAM_SAMPLES = 8;
+    // AHTs (s) below this count as near zero
+    const NEAR_ZERO_AHT = 1;
+
+    // Per employee-day values that are checked, keyed like the finalized accumulator fields
+    const ANOMALY_METRICS = [
+        { field: 'totalVolume', volumeField: 'totalVolume', label: 'Total Volume' },
+        { field: 'overallAHT', volumeField: 'totalVolume', label: 'Overall AHT (s)' },
+        ...MetricsCore.TASK_TYPES.map(task => ({ field: `${task.prefix}AHT`, volumeField: `${task.prefix}Volume`, label: `${task.key} AHT (s)` }))
+    ];
+
+    // Quantile with linear interpolation of sorted values
+    function quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    // Value of a metric for an employee-day, or null when there was no volume to measure it on
+    function metricValue(day, metric) {
+        return day[metric.volumeField] > 0 ? parseFloat(day[metric.field]) : null;
+    }
+
+    /**
+     * Robust z-score of a value against a sample: 0.6745 · (x − median) / MAD.
+     * @returns {number|null} Null when the sample has no spread.
+     */
+    function robustZScore(value, sample) {
+        const center = MetricsCore.median(sample);
+        const mad = MetricsCore.median(sample.map(x => Math.abs(x - center)));
+        return mad > 0 ? (0.6745 * (value - center)) / mad : null;
+    }
+
+    /**
+     * IQR fences of a sample.
+     * @returns {{q1, q3, iqr, low, high, median}|null} Null when the sample has no spread.
+     */
+    function iqrFences(sample) {
+        const sorted = sample.slice().sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        if (!(iqr > 0)) return null;
+        return { q1, q3, iqr, low: q1 - IQR_MULTIPLIER * iqr, high: q3 + IQR_MULTIPLIER * iqr, median: quantile(sorted, 0.5) };
+    }
+
+    /**
+     * Aggregates rows per employee and day.
+     * @returns {Array} Finalized accumulators with empId, name, tl, team and date.
+     */
+    function employeeDays(data) {
+        const groups = MetricsCore.aggregateBy(
+            data,
+            row => (row.hasEmpId ? `${row.empId}|${row.date}` : null),
+            row => ({ empId: row.empId, name: row.employeeName || 'N/A', tl: row.tl, team: row.team, date: row.date })
+        );
+        return Array.from(groups.values()).map(MetricsCore.finalizeAccumulator);
+    }
+
+    function groupBy(list, keyFn) {
+        const groups = new Map();
+        list.forEach(item => {
+            const key = keyFn(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return groups;
+    }
+
+    /**
+     * Flags anomalous employee-days:
+     * - 'Own baseline': |robust z| > ROBUST_Z_THRESHOLD against the employee's
+     *   other days in the data (the day itself is left out of its baseline;
+     *   needs MIN_BASELINE_DAYS other days);
+     * - 'Team distribution': outside the IQR fences of all employee-days of the
+     *   same TL and team (needs MIN_TEAM_SAMPLES employee-days);
+     * - 'Combination': task volume at or above the team's median with a
+     *   near-zero AHT, or an AHT recorded without any volume.
+     * @param {Array} data - Raw data rows (e.g. the filtered dataset).
+     * @returns {Array} [{ empId, name, tl, team, date, metric, field, value, expected,
+     *   score, basis, description }], most severe first. `score` is |z|, the
+     *   distance outside the fences in IQRs, or 10 for combinations.
+     */
+    function detectAnomalies(data) {
+        const days = employeeDays(data);
+        const anomalies = [];
+        const flag = (day, metric, value, expected, score, basis, description) => anomalies.push({
+            empId: day.empId, name: day.name, tl: day.tl, team: day.team, date: day.date,
+            metric: metric.label, field: metric.field, value, expected, score, basis, description
+        });
+
+        // Own baseline
+        groupBy(days, day => day.empId).forEach(employeeDayList => {
+            ANOMALY_METRICS.forEach(metric => {
+                const measured = employeeDayList.filter(day => metricValue(day, metric) !== null);
+                if (measured.length - 1 < MIN_BASELINE_DAYS) return;
+                const values = measured.map(day => metricValue(day, metric));
+                measured.forEach((day, index) => {
+                    const value = values[index];
+                    const baseline = values.filter((other, otherIndex) => otherIndex !== index);
+                    const z = robustZScore(value, baseline);
+                    if (z !== null && Math.abs(z) > ROBUST_Z_THRESHOLD) {
+                        flag(day, metric, value, MetricsCore.median(baseline), Math.abs(z), 'Own baseline',
+                            `${metric.label} ${z > 0 ? 'far above' : 'far below'} the employee's usual level (robust z = ${z.toFixed(1)})`);
+                    }
+                });
+            });
+        });
+
+        // Team distribution and combinations
+        groupBy(days.filter(day => day.tl && day.team), day => `${day.tl}|${day.team}`).forEach(teamDays => {
+            ANOMALY_METRICS.forEach(metric => {
+                const measured = teamDays.filter(day => metricValue(day, metric) !== null);
+                if (measured.length < MIN_TEAM_SAMPLES) return;
+                const fences = iqrFences(measured.map(day => metricValue(day, metric)));
+                if (!fences) return;
+                measured.forEach(day => {
+                    const value = metricValue(day, metric);
+                    if (value < fences.low || value > fences.high) {
+                        const distance = (value > fences.high ? value - fences.high : fences.low - value) / fences.iqr;
+                        flag(day, metric, value, fences.median, IQR_MULTIPLIER + distance, 'Team distribution',
+                            `${metric.label} outside the team's range (${fences.low.toFixed(1)} – ${fences.high.toFixed(1)})`);
+                    }
+                });
+            });
+
+            MetricsCore.TASK_TYPES.forEach(task => {
+                const metric = ANOMALY_METRICS.find(m => m.field === `${task.prefix}AHT`);
+                const volumes = teamDays.map(day => day[`${task.prefix}Volume`]).filter(volume => volume > 0);
+                const medianVolume = MetricsCore.median(volumes);
+                teamDays.forEach(day => {
+                    const volume = day[`${task.prefix}Volume`];
+                    const aht = parseFloat(day[`${task.prefix}AHT`]);
+                    if (volume > 0 && medianVolume !== null && volume >= medianVolume && aht < NEAR_ZERO_AHT) {
+                        flag(day, metric, aht, null, 10, 'Combination',
+                            `High ${task.key} volume (${volume.toLocaleString()}) with near-zero AHT`);
+                    } else if (volume === 0 && day[`${task.prefix}AHTSum`] > 0) {
+                        flag(day, metric, day[`${task.prefix}AHTSum`] / day.rowCount, null, 10, 'Combination',
+                            `${task.key} AHT recorded without any ${task.key} volume`);
+                    }
+                });
+            });
+        });
+
+        return anomalies.sort((a, b) => b.score - a.score);
+    }
+
+    return {
+        ROBUST_Z_THRESHOLD,
+        IQR_MULTIPLIER,
+        MIN_BASELINE_DAYS,
+        MIN_TEAM_SAMPLES,
+        NEAR_ZERO_AHT,
+        ANOMALY_METRICS,
+        robustZScore,
+        iqrFences,
+        detectAnomalies
+    };
+}));
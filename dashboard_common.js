@@ -0,0 +1,1532 @@
+/**
+ * Browser helpers shared by the TL dashboard (script.js) and the
+ * Employee dashboard (employee_script.js).
+ * Load after the DOM-free cores (metrics_core.js, import_core.js, rules_core.js,
+ * anomaly_core.js, url_state_core.js, table_core.js) and data_store.js, before
+ * the page script.
+ */
+
+let charts = {}; // Object to store chart instances, keyed by canvas id
+
+/**
+ * Creates (or re-creates) a Chart.js chart on the canvas with the given id.
+ */
+function createChart(chartId, type, data, options) {
+    if (charts[chartId]) {
+        charts[chartId].destroy();
+    }
+    const ctx = document.getElementById(chartId);
+    if (ctx) {
+        const context = ctx.getContext('2d');
+        charts[chartId] = new Chart(context, { type, data, options });
+    }
+}
+
+// Escapes text for safe insertion into innerHTML
+function escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Mix-adjusted AHT index (see MetricsCore.mixAdjustedAHTIndex) for display; '-' when there is none
+function formatMixIndex(index) {
+    return index === null || index === undefined ? '-' : index.toFixed(2);
+}
+
+// "Team 3 (Ann): 01/11/2025 – 14/11/2025" for a TL / team assignment (see MetricsCore.employeeAssignments)
+function assignmentText(assignment) {
+    const span = assignment.startDate === assignment.endDate
+        ? assignment.startDate
+        : `${assignment.startDate} – ${assignment.endDate}`;
+    return `Team ${assignment.team || 'N/A'} (${assignment.tl || 'N/A'}): ${span}`;
+}
+
+// One line per assignment with its own volume and weighted AHT
+function assignmentHistoryHTML(assignments) {
+    return assignments.map(assignment => `
+        <div class="assignment-history-entry">
+            ${escapeHTML(assignmentText(assignment))}
+            · ${assignment.totalVolume.toLocaleString()} tasks · AHT ${assignment.overallAHT} s
+        </div>
+    `).join('');
+}
+
+// --- MODAL DIALOG ---
+
+/**
+ * Shows a modal dialog and resolves once one of its actions is clicked.
+ * @param {Object} options
+ * @param {string} options.title - Dialog title.
+ * @param {string} options.bodyHTML - Dialog content.
+ * @param {Array} options.actions - [{ label, value, primary }] buttons, in display order.
+ * @param {Function} [options.validate] - (actionValue, bodyElement) => error message or null;
+ *   a message keeps the dialog open and is shown above the buttons.
+ * @param {Function} [options.onOpen] - (bodyElement, showError) => void; wires up
+ *   controls inside the body once the dialog is shown.
+ * @param {string} [options.className] - Extra class for the dialog box (e.g. 'wide').
+ * @returns {Promise<{action: string, body: HTMLElement}>} The clicked action and the
+ *   dialog body, so callers can read form values after the dialog closes.
+ */
+function showModal({ title, bodyHTML, actions, validate, onOpen, className }) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal${className ? ` ${className}` : ''}" role="dialog" aria-modal="true">
+                <h2 class="modal-title">${escapeHTML(title)}</h2>
+                <div class="modal-body">${bodyHTML}</div>
+                <p class="modal-error" style="display: none;"></p>
+                <div class="modal-actions">
+                    ${actions.map(action => `
+                        <button type="button" class="modal-button${action.primary ? ' primary' : ''}" data-action="${escapeHTML(action.value)}">
+                            ${escapeHTML(action.label)}
+                        </button>`).join('')}
+                </div>
+            </div>
+        `;
+        const body = overlay.querySelector('.modal-body');
+        const errorElement = overlay.querySelector('.modal-error');
+        const showError = message => {
+            errorElement.textContent = message || '';
+            errorElement.style.display = message ? 'block' : 'none';
+        };
+
+        overlay.querySelector('.modal-actions').addEventListener('click', event => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const action = button.dataset.action;
+
+            const error = validate ? validate(action, body) : null;
+            if (error) {
+                showError(error);
+                return;
+            }
+            overlay.remove();
+            resolve({ action, body });
+        });
+
+        document.body.appendChild(overlay);
+        if (onOpen) onOpen(body, showError);
+    });
+}
+
+// --- IMPORT STATUS ---
+
+/**
+ * Shows a message in the import status bar under the controls.
+ * @param {string} message - Text to show; an empty string hides the bar.
+ * @param {string} [type] - 'info', 'success' or 'error'.
+ */
+function setImportStatus(message, type = 'info') {
+    const status = document.getElementById('importStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.className = `import-status ${type}`;
+    status.style.display = message ? 'block' : 'none';
+}
+
+// --- COLUMN MAPPING ---
+
+const COLUMN_MAPPING_STORAGE_KEY = 'tlPerformance.columnMapping';
+
+function loadSavedColumnMapping() {
+    try {
+        return JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || { mapping: {}, ignored: [] };
+    } catch (error) {
+        console.error('Could not read the saved column mapping:', error);
+        return { mapping: {}, ignored: [] };
+    }
+}
+
+/**
+ * Remembers a confirmed mapping (merged with earlier ones, so several report
+ * layouts can be remembered) and the headers the user chose to ignore.
+ */
+function saveColumnMapping(mapping, headers) {
+    const saved = loadSavedColumnMapping();
+    const mappedHeaders = new Set(Object.values(mapping));
+    const ignored = new Set(saved.ignored || []);
+    headers.filter(header => !mappedHeaders.has(header)).forEach(header => ignored.add(header));
+    mappedHeaders.forEach(header => ignored.delete(header));
+
+    localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify({
+        mapping: { ...saved.mapping, ...mapping },
+        ignored: Array.from(ignored)
+    }));
+}
+
+/**
+ * Lets the user map the uploaded headers onto the expected schema.
+ * @returns {Promise<Object|null>} The confirmed mapping, or null if the import was cancelled.
+ */
+function showColumnMappingDialog(headers, match, fileName) {
+    const headerOptions = selected => ['<option value="">— not mapped —</option>']
+        .concat(headers.map(header => `<option value="${escapeHTML(header)}"${header === selected ? ' selected' : ''}>${escapeHTML(header)}</option>`))
+        .join('');
+
+    const rowsHTML = ImportCore.SCHEMA.map(field => `
+        <tr>
+            <td>${escapeHTML(field.key)}${field.required ? ' <span class="required-mark">*</span>' : ''}</td>
+            <td><select data-field="${escapeHTML(field.key)}">${headerOptions(match.mapping[field.key])}</select></td>
+        </tr>
+    `).join('');
+
+    const notes = [];
+    if (match.missing.length > 0) {
+        notes.push(`<p><strong>Missing required columns:</strong> ${match.missing.map(escapeHTML).join(', ')}</p>`);
+    }
+    if (match.unrecognized.length > 0) {
+        notes.push(`<p><strong>Unrecognized columns:</strong> ${match.unrecognized.map(escapeHTML).join(', ')}</p>`);
+    }
+
+    const readMapping = body => {
+        const mapping = {};
+        body.querySelectorAll('select[data-field]').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    };
+
+    return showModal({
+        title: `Map columns for ${fileName}`,
+        bodyHTML: `
+            ${notes.join('')}
+            <p>Choose which column of the file holds each field. Fields marked * are required. The mapping is remembered for the next upload.</p>
+            <table class="mapping-table">
+                <thead><tr><th>Field</th><th>Column in file</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        `,
+        actions: [
+            { label: 'Cancel import', value: 'cancel' },
+            { label: 'Apply mapping', value: 'apply', primary: true }
+        ],
+        validate: (action, body) => {
+            if (action !== 'apply') return null;
+            const missing = ImportCore.missingRequiredFields(readMapping(body));
+            return missing.length > 0 ? `Map the required fields first: ${missing.join(', ')}` : null;
+        }
+    }).then(({ action, body }) => (action === 'apply' ? readMapping(body) : null));
+}
+
+// --- TARGETS & RULES ---
+
+const RULES_STORAGE_KEY = 'tlPerformance.feedbackRules';
+
+/**
+ * @returns {Object} The saved rules configuration, or the defaults (see rules_core.js).
+ */
+function loadRulesConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+        if (saved && RulesCore.validateRulesConfig(saved).length === 0) {
+            return RulesCore.normalizeRulesConfig(saved);
+        }
+    } catch (error) {
+        console.error('Could not read the saved rules:', error);
+    }
+    return RulesCore.normalizeRulesConfig(RulesCore.DEFAULT_RULES_CONFIG);
+}
+
+function saveRulesConfig(config) {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(config));
+}
+
+/**
+ * Performance feedback for an employee: every targets rule that applies to
+ * their rows (see rules_core.js), with the checks that passed and failed.
+ * Shown on the Employee dashboard and in the review reports.
+ * @param {Object} metrics - The employee's metrics (MetricsCore.calculateEmployeeMetrics).
+ * @param {Array} employeeData - The employee's rows in the selected period.
+ * @returns {Object} { name, tone ('neutral', 'info', 'good' or 'bad'), html }.
+ */
+function performanceFeedbackContent(metrics, employeeData) {
+    const numberOfDays = metrics.dailyPerformance.length;
+    const name = metrics.employeeName !== 'N/A' ? metrics.employeeName : 'Employee';
+    const formatValue = value => (Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2));
+
+    // Check if an employee is selected/data exists
+    if (metrics.empId === 'N/A' || metrics.totalVolume === 0) {
+        return { name, tone: 'neutral', html: '<p class="mt-1">Select an employee and upload data to view performance feedback.</p>' };
+    }
+
+    const results = RulesCore.evaluateRules(loadRulesConfig(), employeeData);
+    if (results.length === 0) {
+        // No rule covers this employee's team / TL / shift in the period
+        return {
+            name,
+            tone: 'info',
+            html: `<p class="mt-1">Performance Review: Total tasks handled is ${metrics.totalVolume.toLocaleString()} over ${numberOfDays} day(s). No targets are defined for Team ${escapeHTML(metrics.teamId || 'N/A')} in this period (see Targets &amp; Rules).</p>`
+        };
+    }
+
+    const checks = results.flatMap(result => result.checks);
+    const failed = checks.filter(check => !check.passed).length;
+
+    const rulesHTML = results.map(result => `
+        <li class="mt-2">
+            <span class="font-semibold">${escapeHTML(result.rule.name || 'Rule')}</span>
+            <span class="text-sm">(${escapeHTML(result.scope)}; ${result.days} day(s))</span>
+            <ul class="ml-4">
+                ${result.checks.map(check => `
+                    <li>${check.passed ? '✅ Passed' : '❌ Failed'}: ${escapeHTML(check.label)} is <strong>${formatValue(check.actual)}</strong>
+                        (${check.label.includes('AHT') ? 'maximum' : 'target'} ${formatValue(check.target)})</li>
+                `).join('')}
+            </ul>
+        </li>
+    `).join('');
+
+    const summary = failed === 0
+        ? `Performance Review: all ${checks.length} target check(s) passed. Keep up the great work!`
+        : `Performance Review: ${failed} of ${checks.length} target check(s) failed.`;
+    return { name, tone: failed === 0 ? 'good' : 'bad', html: `<p class="mt-1">${summary}</p><ul>${rulesHTML}</ul>` };
+}
+
+// One editable row of the rules table
+function ruleFormRowHTML(rule) {
+    const textInput = (field, value, placeholder) =>
+        `<input type="text" data-field="${field}" value="${escapeHTML(value)}" placeholder="${placeholder}">`;
+    const numberInput = (field, value) =>
+        `<input type="number" min="0" step="any" data-field="${escapeHTML(field)}" value="${value === undefined || value === null ? '' : value}">`;
+
+    return `
+        <tr class="rule-row">
+            <td>${textInput('name', rule.name, 'Rule name')}</td>
+            <td>${textInput('teams', rule.teams.join(', '), 'Any')}</td>
+            <td>${textInput('tls', rule.tls.join(', '), 'Any')}</td>
+            <td>${textInput('shifts', rule.shifts.join(', '), 'Any')}</td>
+            <td><input type="date" data-field="effectiveFrom" value="${escapeHTML(rule.effectiveFrom)}"></td>
+            <td><input type="date" data-field="effectiveTo" value="${escapeHTML(rule.effectiveTo)}"></td>
+            <td>${numberInput('dailyVolume', rule.dailyVolume)}</td>
+            ${MetricsCore.TASK_TYPES.map(task => `<td>${numberInput(`maxAHT:${task.key}`, rule.maxAHT[task.key])}</td>`).join('')}
+            <td><button type="button" class="rule-remove" title="Remove rule">×</button></td>
+        </tr>
+    `;
+}
+
+// Reads the rules table back into a (not yet validated) configuration
+function readRulesForm(body) {
+    const splitList = value => value.split(',').map(item => item.trim()).filter(item => item !== '');
+    const rules = Array.from(body.querySelectorAll('tr.rule-row')).map(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        const maxAHT = {};
+        MetricsCore.TASK_TYPES.forEach(task => {
+            const limit = value(`maxAHT:${task.key}`);
+            if (limit !== '') maxAHT[task.key] = limit;
+        });
+        return {
+            name: value('name'),
+            teams: splitList(value('teams')),
+            tls: splitList(value('tls')),
+            shifts: splitList(value('shifts')),
+            effectiveFrom: value('effectiveFrom'),
+            effectiveTo: value('effectiveTo'),
+            dailyVolume: value('dailyVolume'),
+            maxAHT
+        };
+    });
+    return { version: RulesCore.RULES_CONFIG_VERSION, rules };
+}
+
+/**
+ * Opens the targets & rules settings: an editable table of rules, with JSON
+ * import/export. Saved rules are kept in localStorage for both dashboards.
+ * @returns {Promise<Object|null>} The saved configuration, or null if cancelled.
+ */
+function showRulesSettingsDialog() {
+    const renderRules = (body, config) => {
+        body.querySelector('tbody').innerHTML = config.rules.map(ruleFormRowHTML).join('');
+    };
+
+    return showModal({
+        title: 'Targets & Feedback Rules',
+        className: 'wide',
+        bodyHTML: `
+            <p>Each rule applies to the rows of the listed teams, TLs and shifts (empty = any) within its effective dates.
+               Leave a target empty to skip it. Lists are comma-separated.</p>
+            <div class="rules-table-wrapper">
+                <table class="rules-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th><th>Teams</th><th>TLs</th><th>Shifts</th><th>From</th><th>To</th>
+                            <th>Min Daily Volume</th>
+                            ${MetricsCore.TASK_TYPES.map(task => `<th>Max ${escapeHTML(task.key)} AHT (s)</th>`).join('')}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="rules-toolbar">
+                <button type="button" class="modal-button" data-rules="add">Add rule</button>
+                <button type="button" class="modal-button" data-rules="import">Import JSON…</button>
+                <button type="button" class="modal-button" data-rules="export">Export JSON</button>
+                <button type="button" class="modal-button" data-rules="reset">Reset to defaults</button>
+                <input type="file" accept=".json,application/json" data-rules="file" style="display: none;">
+            </div>
+        `,
+        actions: [
+            { label: 'Cancel', value: 'cancel' },
+            { label: 'Save rules', value: 'save', primary: true }
+        ],
+        onOpen: (body, showError) => {
+            renderRules(body, loadRulesConfig());
+            const fileInput = body.querySelector('input[data-rules="file"]');
+
+            body.addEventListener('click', event => {
+                if (event.target.closest('.rule-remove')) {
+                    event.target.closest('tr.rule-row').remove();
+                    return;
+                }
+                const button = event.target.closest('button[data-rules]');
+                if (!button) return;
+                showError(null);
+
+                if (button.dataset.rules === 'add') {
+                    body.querySelector('tbody').insertAdjacentHTML('beforeend', ruleFormRowHTML(RulesCore.normalizeRule({})));
+                } else if (button.dataset.rules === 'import') {
+                    fileInput.click();
+                } else if (button.dataset.rules === 'export') {
+                    const config = readRulesForm(body);
+                    const errors = RulesCore.validateRulesConfig(config);
+                    if (errors.length > 0) {
+                        showError(errors.join(' '));
+                        return;
+                    }
+                    downloadTextFile('feedback_rules.json', JSON.stringify(RulesCore.normalizeRulesConfig(config), null, 2), 'application/json');
+                } else if (button.dataset.rules === 'reset') {
+                    renderRules(body, RulesCore.normalizeRulesConfig(RulesCore.DEFAULT_RULES_CONFIG));
+                }
+            });
+
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                readFileAsArrayBuffer(file)
+                    .then(buffer => {
+                        renderRules(body, RulesCore.parseRulesConfig(ImportCore.decodeText(new Uint8Array(buffer)).text));
+                        showError(null);
+                    })
+                    .catch(error => showError(`${file.name}: ${error.message}`));
+            });
+        },
+        validate: (action, body) => {
+            if (action !== 'save') return null;
+            const errors = RulesCore.validateRulesConfig(readRulesForm(body));
+            return errors.length > 0 ? errors.join(' ') : null;
+        }
+    }).then(({ action, body }) => {
+        if (action !== 'save') return null;
+        const config = RulesCore.normalizeRulesConfig(readRulesForm(body));
+        saveRulesConfig(config);
+        return config;
+    });
+}
+
+// --- DATA QUALITY PANEL ---
+
+// Offending rows listed per problem type; the CSV download always has all of them
+const DATA_QUALITY_ROW_LIMIT = 100;
+
+/**
+ * Triggers a browser download of generated text content.
+ */
+function downloadTextFile(fileName, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Renders the data-quality report of the last import: counts, affected volume
+ * and the offending rows (with sheet row numbers) for each problem type.
+ * @param {Object} report - Output of ImportCore.buildQualityReport.
+ * @param {string} sourceName - Loaded source name(s) shown in the panel title.
+ * @param {string} [conflictText] - Current handling of duplicate / conflicting
+ *   records (conflictHandlingText), empty when there are none.
+ */
+function renderDataQualityPanel(report, sourceName, conflictText = '') {
+    const panel = document.getElementById('dataQualityPanel');
+    if (!panel) return;
+
+    const conflictHTML = conflictText ? `
+        <p class="data-quality-conflicts">
+            <strong>Duplicates &amp; conflicts:</strong> ${escapeHTML(conflictText)}
+            <button type="button" class="modal-button" data-review-conflicts>Change…</button>
+        </p>
+    ` : '';
+
+    if (report.badRowCount === 0) {
+        panel.className = 'data-quality-panel clean';
+        panel.innerHTML = `<h2>Data Quality: ${escapeHTML(sourceName)}</h2><p>All ${report.totalRows.toLocaleString()} rows passed the data-quality checks.</p>${conflictHTML}`;
+        panel.style.display = 'block';
+        bindConflictReviewButton(panel);
+        return;
+    }
+
+    const sectionsHTML = report.issues.filter(issue => issue.rows.length > 0).map(issue => {
+        const shown = issue.rows.slice(0, DATA_QUALITY_ROW_LIMIT);
+        const moreText = issue.rows.length > shown.length
+            ? `<p class="data-quality-note">Showing the first ${shown.length} of ${issue.rows.length.toLocaleString()} rows. Download the CSV for all of them.</p>`
+            : '';
+        const rowsHTML = shown.map(({ rowNumber, source, row, detail }) => `
+            <tr>
+                <td>${escapeHTML(source)}</td>
+                <td>${rowNumber}</td>
+                <td>${escapeHTML(row['Date'])}</td>
+                <td>${escapeHTML(row['EMP ID'])}</td>
+                <td>${escapeHTML(row['Employee Name'])}</td>
+                <td>${escapeHTML(row['TL'])}</td>
+                <td>${escapeHTML(row['Team'])}</td>
+                <td>${escapeHTML(detail)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="data-quality-issue">
+                <summary>
+                    <strong>${escapeHTML(issue.label)}</strong>:
+                    ${issue.rows.length.toLocaleString()} row(s), ${issue.volume.toLocaleString()} tasks affected.
+                    <span class="data-quality-note">${escapeHTML(issue.effect)}</span>
+                </summary>
+                <table class="data-quality-table">
+                    <thead>
+                        <tr><th>Source</th><th>Sheet Row</th><th>Date</th><th>EMP ID</th><th>Employee Name</th><th>TL</th><th>Team</th><th>Problem</th></tr>
+                    </thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+                ${moreText}
+            </details>
+        `;
+    }).join('');
+
+    panel.className = 'data-quality-panel';
+    panel.innerHTML = `
+        <h2>Data Quality: ${escapeHTML(sourceName)}</h2>
+        <p>${report.badRowCount.toLocaleString()} of ${report.totalRows.toLocaleString()} rows have issues.
+            <button type="button" class="modal-button" id="downloadBadRowsButton">Download bad rows (CSV)</button>
+        </p>
+        ${conflictHTML}
+        ${sectionsHTML}
+    `;
+    panel.style.display = 'block';
+    bindConflictReviewButton(panel);
+
+    document.getElementById('downloadBadRowsButton').addEventListener('click', () => {
+        // Leading BOM so Excel opens the UTF-8 file correctly
+        downloadTextFile('bad_rows.csv', '\ufeff' + ImportCore.qualityReportToCSV(report), 'text/csv');
+    });
+}
+
+// --- DUPLICATES & CONFLICTS ---
+
+const CONFLICT_RESOLUTION_STORAGE_KEY = 'tlPerformance.conflictResolution';
+
+// Conflicts listed (each with its own choice) per type in the dialog
+const CONFLICT_EXAMPLE_LIMIT = 10;
+
+// Kept names / IDs / sources listed per handling in the data-quality panel
+const CONFLICT_SUMMARY_LIMIT = 3;
+
+/**
+ * The resolutions chosen for duplicate / conflicting records, per conflict:
+ * { type: { conflictId: action } } (see ImportCore.resolveConflicts). They are
+ * applied to every combined dataset; conflicts without a choice get the type's
+ * default action.
+ */
+function loadConflictResolution() {
+    const resolution = {};
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CONFLICT_RESOLUTION_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Could not read the saved conflict resolution:', error);
+    }
+    ImportCore.CONFLICT_TYPES.forEach(({ type }) => {
+        resolution[type] = saved[type] && typeof saved[type] === 'object' ? saved[type] : {};
+    });
+    return resolution;
+}
+
+function saveConflictResolution(resolution) {
+    localStorage.setItem(CONFLICT_RESOLUTION_STORAGE_KEY, JSON.stringify(resolution));
+}
+
+// Resolution option text for one conflict, naming what it keeps, e.g. 'Merge: use the first name on every row (keeps "Emp2")'
+function conflictResolutionText(type, conflict, action) {
+    const { resolutions } = ImportCore.CONFLICT_TYPES.find(entry => entry.type === type);
+    const kept = ImportCore.keptLabel(type, conflict, action);
+    return kept ? `${resolutions[action]} (keeps "${kept}")` : resolutions[action];
+}
+
+/**
+ * Lists the duplicate / conflicting records found and lets the user choose
+ * how each one is resolved (one choice per listed conflict, plus one for all
+ * conflicts of a type).
+ * @param {Object} conflicts - `conflicts` of ImportCore.resolveConflicts with the
+ *   saved resolution (each conflict carries its current `action`).
+ * @param {Object} resolution - The saved resolution (loadConflictResolution).
+ * @returns {Promise<Object|null>} The new resolution, or null to keep the current one.
+ */
+function showConflictDialog(conflicts, resolution) {
+    const sectionsHTML = ImportCore.CONFLICT_TYPES.filter(({ type }) => conflicts[type].length > 0).map(({ type, label, resolutions }) => {
+        const list = conflicts[type];
+        const examples = list.slice(0, CONFLICT_EXAMPLE_LIMIT).map((conflict, index) => {
+            const options = Object.keys(resolutions).map(action =>
+                `<option value="${action}"${action === conflict.action ? ' selected' : ''}>${escapeHTML(conflictResolutionText(type, conflict, action))}</option>`).join('');
+            const newText = resolution[type][conflict.id] ? '' : ' <em>(new)</em>';
+            return `<li>${escapeHTML(conflict.description)}${newText}<select data-conflict-type="${type}" data-conflict-index="${index}">${options}</select></li>`;
+        }).join('');
+        const moreText = list.length > CONFLICT_EXAMPLE_LIMIT
+            ? `<li>… and ${(list.length - CONFLICT_EXAMPLE_LIMIT).toLocaleString()} more (set them with "All of them" above)</li>`
+            : '';
+        const allOptions = Object.entries(resolutions).map(([action, text]) => `<option value="${action}">${escapeHTML(text)}</option>`).join('');
+        return `
+            <div class="conflict-type">
+                <p><strong>${escapeHTML(label)}</strong>: ${list.length.toLocaleString()} found</p>
+                <label class="conflict-all">All of them:
+                    <select data-conflict-all="${type}"><option value="">Choose per record</option>${allOptions}</select>
+                </label>
+                <ul class="conflict-examples">${examples}${moreText}</ul>
+            </div>
+        `;
+    }).join('');
+
+    return showModal({
+        title: 'Duplicate and conflicting records',
+        bodyHTML: `
+            <p>The loaded data has records that may belong together or be counted twice. "First" means first in load order. Each choice is remembered for that record and applied before the metrics are calculated.</p>
+            ${sectionsHTML}
+        `,
+        actions: [
+            { label: 'Keep current handling', value: 'cancel' },
+            { label: 'Apply', value: 'apply', primary: true }
+        ],
+        onOpen: body => {
+            // "All of them" sets every listed choice of the type
+            body.querySelectorAll('select[data-conflict-all]').forEach(allSelect => {
+                allSelect.addEventListener('change', () => {
+                    if (!allSelect.value) return;
+                    body.querySelectorAll(`select[data-conflict-type="${allSelect.dataset.conflictAll}"]`).forEach(select => {
+                        select.value = allSelect.value;
+                    });
+                });
+            });
+        }
+    }).then(({ action, body }) => {
+        if (action !== 'apply') return null;
+        const updated = {};
+        ImportCore.CONFLICT_TYPES.forEach(({ type }) => {
+            updated[type] = { ...resolution[type] };
+            const allAction = body.querySelector(`select[data-conflict-all="${type}"]`);
+            conflicts[type].forEach((conflict, index) => {
+                const select = body.querySelector(`select[data-conflict-type="${type}"][data-conflict-index="${index}"]`);
+                if (select) {
+                    updated[type][conflict.id] = select.value;
+                } else if (allAction && allAction.value) {
+                    updated[type][conflict.id] = allAction.value;
+                } else {
+                    updated[type][conflict.id] = conflict.action;
+                }
+            });
+        });
+        return updated;
+    });
+}
+
+/**
+ * Checks the combined sources for duplicate / conflicting records and asks
+ * how to resolve them (saving the choices) when some have no saved choice yet.
+ * @param {boolean} [always=false] - Ask even when every conflict has a saved choice.
+ * @returns {Promise<boolean>} Whether new choices were made.
+ */
+async function reviewDataConflicts(always = false) {
+    const resolution = loadConflictResolution();
+    const { conflicts } = ImportCore.resolveConflicts(combinedSourceRows(), resolution);
+    if (conflicts.total === 0) return false;
+    const hasNew = ImportCore.CONFLICT_TYPES.some(({ type }) => conflicts[type].some(conflict => !resolution[type][conflict.id]));
+    if (!always && !hasNew) return false;
+    const updated = await showConflictDialog(conflicts, resolution);
+    if (!updated) return false;
+    saveConflictResolution(updated);
+    return true;
+}
+
+/**
+ * Current handling per conflict type found, with what each merge / keep
+ * kept, e.g. 'Same EMP ID with different names (1): Merge: use the first name
+ * on every row (EMP ID 1002: Emp2 / Emp Two → "Emp2")'. Conflicts of a type
+ * with different handlings are counted per action.
+ * @param {Object} conflicts - `conflicts` of ImportCore.resolveConflicts.
+ */
+function conflictHandlingText(conflicts) {
+    return ImportCore.CONFLICT_TYPES
+        .filter(({ type }) => conflicts[type].length > 0)
+        .map(({ type, label, resolutions }) => {
+            const byAction = new Map();
+            conflicts[type].forEach(conflict => {
+                if (!byAction.has(conflict.action)) byAction.set(conflict.action, []);
+                byAction.get(conflict.action).push(conflict);
+            });
+            const handling = Array.from(byAction.entries()).map(([action, list]) => {
+                const withKept = list.filter(conflict => conflict.kept);
+                const kept = withKept.slice(0, CONFLICT_SUMMARY_LIMIT).map(conflict => `${conflict.description} → "${conflict.kept}"`);
+                if (withKept.length > kept.length) kept.push('…');
+                const countText = byAction.size > 1 ? ` ×${list.length.toLocaleString()}` : '';
+                return `${resolutions[action]}${countText}${kept.length > 0 ? ` (${kept.join(', ')})` : ''}`;
+            });
+            return `${label} (${conflicts[type].length.toLocaleString()}): ${handling.join('; ')}`;
+        })
+        .join(' · ');
+}
+
+// Re-opens the conflict dialog from the data-quality panel and re-publishes with the new choices
+function bindConflictReviewButton(panel) {
+    const button = panel.querySelector('[data-review-conflicts]');
+    if (!button) return;
+    button.addEventListener('click', async () => {
+        if (!(await reviewDataConflicts(true))) return;
+        const { rows, conflicts } = publishCombinedDataset({ persist: false });
+        setImportStatus(`Duplicate / conflicting records handled again: ${conflicts.resolved.toLocaleString()} resolved. Combined dataset: ${rows.length.toLocaleString()} rows.`, 'success');
+    });
+}
+
+// --- FILE IMPORT ---
+
+let loadedSources = []; // [{ id, fileName, sheetName, label, details, rows, loadedAt }] in load order
+let nextSourceId = 1;
+let datasetChangedHandler = null;
+
+// Rows of every loaded source, in load order (before duplicates and conflicts are resolved)
+function combinedSourceRows() {
+    return loadedSources.flatMap(source => source.rows);
+}
+
+/**
+ * Registers the page callback that receives the combined dataset whenever
+ * sources are loaded, removed or restored from storage.
+ * @param {Function} handler - (rows, restoredFilters) => void; `restoredFilters`
+ *   is only set when the dataset was restored together with stored filters.
+ */
+function onDatasetChanged(handler) {
+    datasetChangedHandler = handler;
+}
+
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// File types the importer understands, by extension
+function detectFileFormat(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (['csv', 'tsv', 'txt'].includes(extension)) return 'csv';
+    if (extension === 'json') return 'json';
+    return 'excel';
+}
+
+/**
+ * Converts one worksheet into row objects keyed by header, each tagged with
+ * its sheet row number.
+ * @returns {{headers: Array<string>, rows: Array}}
+ */
+function readWorksheetRows(worksheet) {
+    const rows = XLSX.utils.sheet_to_json(worksheet);
+    // SheetJS keeps the 0-based sheet row index in a non-enumerable __rowNum__
+    rows.forEach(row => { row[ImportCore.ROW_NUMBER_KEY] = row.__rowNum__ + 1; });
+    const headerRow = XLSX.utils.sheet_to_json(worksheet, { header: 1 })[0] || [];
+
+    const headers = headerRow.map(String).filter(header => header.trim() !== '');
+    ImportCore.collectHeaders(rows).forEach(header => {
+        if (!headers.includes(header)) headers.push(header);
+    });
+    return { headers, rows };
+}
+
+/**
+ * Asks which sheets of a multi-sheet workbook to load.
+ * @returns {Promise<Array<string>>} Selected sheet names (empty if skipped).
+ */
+function showSheetPickerDialog(workbook, fileName) {
+    const sheetRowCount = name => {
+        const ref = workbook.Sheets[name]['!ref'];
+        return ref ? Math.max(0, XLSX.utils.decode_range(ref).e.r) : 0;
+    };
+    const optionsHTML = workbook.SheetNames.map((name, index) => `
+        <label class="sheet-option">
+            <input type="checkbox" value="${escapeHTML(name)}"${index === 0 ? ' checked' : ''}>
+            ${escapeHTML(name)} <span class="data-quality-note">(~${sheetRowCount(name).toLocaleString()} rows)</span>
+        </label>
+    `).join('');
+
+    const readSelection = body => Array.from(body.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+
+    return showModal({
+        title: `Select sheets from ${fileName}`,
+        bodyHTML: `<p>This workbook has ${workbook.SheetNames.length} sheets. Choose the ones to load.</p>${optionsHTML}`,
+        actions: [
+            { label: 'Skip this file', value: 'skip' },
+            { label: 'Load selected sheets', value: 'load', primary: true }
+        ],
+        validate: (action, body) => (action === 'load' && readSelection(body).length === 0 ? 'Select at least one sheet.' : null)
+    }).then(({ action, body }) => (action === 'load' ? readSelection(body) : []));
+}
+
+/**
+ * Validates one sheet's headers against the schema (asking for a mapping
+ * when needed) and returns its rows keyed by the schema columns.
+ * @returns {Promise<Array|null>} Mapped rows, or null if the sheet was skipped.
+ */
+async function mapSheetRows(headers, rows, label) {
+    const match = ImportCore.matchHeaders(headers, loadSavedColumnMapping());
+    const needsMapping = match.missing.length > 0 || match.unrecognized.length > 0;
+    const mapping = needsMapping
+        ? await showColumnMappingDialog(headers, match, label)
+        : match.mapping;
+
+    if (!mapping) {
+        const missingText = match.missing.length > 0
+            ? ` Required fields not found: ${match.missing.join(', ')}.`
+            : '';
+        throw new Error(`Import of ${label} cancelled.${missingText}`);
+    }
+    if (needsMapping) saveColumnMapping(mapping, headers);
+
+    const mappedRows = ImportCore.applyColumnMapping(rows, mapping);
+    mappedRows.forEach(row => { row[ImportCore.SOURCE_KEY] = label; });
+    return mappedRows;
+}
+
+/**
+ * Reads an uploaded file into one or more sheets of raw rows.
+ * Excel workbooks may contribute several sheets; CSV and JSON files are a
+ * single sheet.
+ * @returns {Promise<Array<{sheetName: string, headers: Array<string>, rows: Array, details: string}>>}
+ */
+async function readFileSheets(file) {
+    const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+    const format = detectFileFormat(file.name);
+
+    if (format === 'csv') {
+        const { text, encoding } = ImportCore.decodeText(bytes);
+        const { headers, rows, delimiter } = ImportCore.csvToRows(text);
+        const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[delimiter];
+        return [{ sheetName: '', headers, rows, details: `CSV, ${delimiterName}-delimited, ${encoding}` }];
+    }
+    if (format === 'json') {
+        const { text, encoding } = ImportCore.decodeText(bytes);
+        const { headers, rows } = ImportCore.jsonToRows(text);
+        return [{ sheetName: '', headers, rows, details: `JSON, ${encoding}` }];
+    }
+
+    // Use window.XLSX globally available from the CDN script
+    const workbook = XLSX.read(bytes, { type: 'array' });
+    const sheetNames = workbook.SheetNames.length > 1
+        ? await showSheetPickerDialog(workbook, file.name)
+        : workbook.SheetNames;
+
+    return sheetNames.map(sheetName => ({
+        sheetName: workbook.SheetNames.length > 1 ? sheetName : '',
+        ...readWorksheetRows(workbook.Sheets[sheetName]),
+        details: 'Excel'
+    }));
+}
+
+/**
+ * Reads the selected sheets of one uploaded file into sources.
+ * @returns {Promise<Array>} New source objects (may be empty).
+ */
+async function readSourcesFromFile(file) {
+    const sheets = await readFileSheets(file);
+
+    const sources = [];
+    for (const { sheetName, headers, rows, details } of sheets) {
+        const label = ImportCore.sourceLabel(file.name, sheetName);
+        if (rows.length === 0) {
+            throw new Error(`${label} is empty or has no recognizable data.`);
+        }
+
+        const mappedRows = await mapSheetRows(headers, rows, label);
+        sources.push({
+            id: nextSourceId++,
+            fileName: file.name,
+            sheetName,
+            label,
+            details,
+            rows: mappedRows,
+            loadedAt: new Date().toISOString()
+        });
+    }
+    return sources;
+}
+
+/**
+ * Adds sources to the loaded list. A source with the same file and sheet
+ * name as an existing one replaces it (e.g. a corrected re-upload).
+ */
+function addLoadedSources(sources) {
+    sources.forEach(source => {
+        const index = loadedSources.findIndex(existing => existing.label === source.label);
+        if (index >= 0) {
+            loadedSources.splice(index, 1);
+        }
+        loadedSources.push(source);
+    });
+}
+
+/**
+ * Rebuilds the combined dataset from the loaded sources, applies the chosen
+ * handling of duplicate / conflicting records, refreshes the sources list and
+ * data-quality panel and hands the rows to the page. The data-quality report
+ * describes the uploaded rows, before any of them are merged or excluded.
+ * @param {Object} [options]
+ * @param {Object} [options.restoredFilters] - Stored filters for the page to re-apply.
+ * @param {boolean} [options.persist] - Whether to store the sources (false when
+ *   they were just restored or cleared).
+ * @returns {Object} { rows, conflicts, report } - `conflicts` is the
+ *   ImportCore.resolveConflicts result, `report` the data-quality report.
+ */
+function publishCombinedDataset({ restoredFilters = null, persist = true } = {}) {
+    const combinedRows = combinedSourceRows();
+    const report = ImportCore.buildQualityReport(combinedRows);
+    const conflicts = ImportCore.resolveConflicts(combinedRows, loadConflictResolution());
+
+    if (persist) {
+        saveStoredDataset(loadedSources).catch(error => console.error('Could not store the dataset:', error));
+    }
+
+    renderLoadedSources();
+    if (loadedSources.length > 0) {
+        const sourceNames = loadedSources.map(source => source.label).join(', ');
+        renderDataQualityPanel(report, sourceNames, conflictHandlingText(conflicts.conflicts));
+    } else {
+        const panel = document.getElementById('dataQualityPanel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    if (datasetChangedHandler) datasetChangedHandler(conflicts.rows, restoredFilters);
+    return { rows: conflicts.rows, conflicts, report };
+}
+
+/**
+ * Imports one or more uploaded files into the combined dataset.
+ * Each file may contribute several sheets; problems are reported in the
+ * import status bar and do not affect sources that loaded successfully.
+ * @param {Array<File>} files
+ */
+async function importDataFiles(files) {
+    const errors = [];
+    let added = [];
+
+    for (const file of files) {
+        setImportStatus(`Reading ${file.name}...`);
+        try {
+            added = added.concat(await readSourcesFromFile(file));
+        } catch (error) {
+            console.error('File processing error:', error);
+            errors.push(error.message.includes(file.name) ? error.message : `${file.name}: ${error.message}.`);
+        }
+    }
+
+    if (added.length > 0) {
+        addLoadedSources(added);
+        // Duplicates and conflicting names / IDs are resolved before the page calculates anything
+        await reviewDataConflicts();
+        // A shared link opened before any data was loaded applies to the first upload
+        const { rows, conflicts, report } = publishCombinedDataset({ restoredFilters: consumePendingUrlFilters() });
+
+        const addedRows = added.reduce((sum, source) => sum + source.rows.length, 0);
+        const messages = [`Loaded ${addedRows.toLocaleString()} rows from ${added.map(source => source.label).join(', ')}.`];
+        messages.push(`Combined dataset: ${rows.length.toLocaleString()} rows from ${loadedSources.length} source(s).`);
+        if (conflicts.resolved > 0) {
+            messages.push(`${conflicts.resolved.toLocaleString()} duplicate / conflicting record(s) resolved (${conflicts.removed.toLocaleString()} row(s) fewer).`);
+        }
+        if (report.badRowCount > 0) {
+            messages.push(`${report.badRowCount.toLocaleString()} row(s) have data-quality issues (see below).`);
+        }
+        messages.push(...errors);
+        setImportStatus(messages.join(' '), errors.length > 0 ? 'error' : 'success');
+    } else if (errors.length > 0) {
+        setImportStatus(`${errors.join(' ')} Please ensure each file is a valid Excel (.xlsx/.xls), CSV or JSON file with headers in the first row.`, 'error');
+    } else {
+        setImportStatus('No sheets were selected; nothing was loaded.');
+    }
+}
+
+/**
+ * Removes one loaded source and re-publishes the combined dataset.
+ */
+function removeDataSource(sourceId) {
+    const source = loadedSources.find(item => item.id === sourceId);
+    if (!source) return;
+    loadedSources = loadedSources.filter(item => item.id !== sourceId);
+    const { rows } = publishCombinedDataset();
+    setImportStatus(`Removed ${source.label}. Combined dataset: ${rows.length.toLocaleString()} rows from ${loadedSources.length} source(s).`);
+}
+
+/**
+ * Renders the list of loaded sources with a remove button for each.
+ */
+function renderLoadedSources() {
+    const container = document.getElementById('loadedSources');
+    if (!container) return;
+
+    if (loadedSources.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = `
+        <strong>Loaded sources:</strong>
+        ${loadedSources.map(source => `
+            <span class="source-chip" title="${escapeHTML(source.details)}">
+                ${escapeHTML(source.label)} (${source.rows.length.toLocaleString()} rows)
+                <button type="button" class="source-remove" data-source-id="${source.id}" title="Remove this source">&times;</button>
+            </span>
+        `).join('')}
+    `;
+    container.insertAdjacentHTML('beforeend', `
+        <span class="data-quality-note">Data loaded ${escapeHTML(formatLoadedAt(lastLoadedAt()))}</span>
+        <button type="button" class="modal-button" id="clearStoredDataButton">Clear stored data</button>
+    `);
+    container.style.display = 'flex';
+    container.querySelectorAll('.source-remove').forEach(button => {
+        button.addEventListener('click', () => removeDataSource(Number(button.dataset.sourceId)));
+    });
+    document.getElementById('clearStoredDataButton').addEventListener('click', clearLoadedData);
+}
+
+// --- STORED DATA ---
+
+// ISO timestamp of the most recently loaded source
+function lastLoadedAt() {
+    return loadedSources.reduce((latest, source) => (source.loadedAt > latest ? source.loadedAt : latest), '');
+}
+
+function formatLoadedAt(isoString) {
+    return isoString ? new Date(isoString).toLocaleString() : 'at an unknown time';
+}
+
+/**
+ * Restores the dataset and filters stored by either dashboard, if any.
+ * Called once when the page loads.
+ */
+async function restoreStoredDataset() {
+    let dataset;
+    let filters;
+    try {
+        [dataset, filters] = await Promise.all([loadStoredDataset(), loadStoredFilters()]);
+    } catch (error) {
+        console.error('Could not restore the stored dataset:', error);
+        return;
+    }
+    if (!dataset || !dataset.sources || dataset.sources.length === 0) return;
+
+    // Filters in a shared link win over the ones stored from the last visit
+    const urlFilters = consumePendingUrlFilters();
+    loadedSources = dataset.sources;
+    nextSourceId = Math.max(...loadedSources.map(source => source.id)) + 1;
+    const { rows } = publishCombinedDataset({ restoredFilters: urlFilters || filters || {}, persist: false });
+    setImportStatus(`Restored ${rows.length.toLocaleString()} stored rows from ${loadedSources.length} source(s), loaded ${formatLoadedAt(lastLoadedAt())}.`);
+}
+
+// Stores the current filters of a page (see recordFilterState)
+function persistFilterState(filters) {
+    saveStoredFilters(filters).catch(error => console.error('Could not store the filters:', error));
+}
+
+/**
+ * Unloads every source and removes the stored dataset and filters.
+ */
+function clearLoadedData() {
+    loadedSources = [];
+    clearStoredData()
+        .catch(error => console.error('Could not clear the stored data:', error))
+        .then(() => {
+            publishCombinedDataset({ persist: false });
+            setImportStatus('Stored data cleared. Upload a file to start again.');
+        });
+}
+
+/**
+ * Selects a value in a <select>. Options that the page only fills in while
+ * rendering (e.g. teams or employees) can be added as a placeholder, so the
+ * selection survives until the real options are built.
+ */
+function selectOptionValue(select, value, addIfMissing = false) {
+    if (!select || value === undefined || value === null) return;
+    const exists = Array.from(select.options).some(option => option.value === value);
+    if (!exists) {
+        if (!addIfMissing) return;
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    }
+    select.value = value;
+}
+
+// --- DATA TABLES ---
+
+const TABLE_PREFS_STORAGE_KEY = 'tlPerformance.tablePrefs';
+const DATA_TABLE_PAGE_SIZES = [25, 50, 100, 0]; // 0 shows all rows
+const DATA_TABLE_DEFAULT_PAGE_SIZE = 50;
+
+// State of the rendered tables by table id: { columns, rows, options, prefs, search, page }
+const dataTables = {};
+
+/**
+ * @returns {Object} The remembered sort ({ key, direction } or null), hidden
+ *   column keys and page size of a table.
+ */
+function loadTablePrefs(tableId) {
+    let saved = null;
+    try {
+        saved = (JSON.parse(localStorage.getItem(TABLE_PREFS_STORAGE_KEY)) || {})[tableId];
+    } catch (error) {
+        console.error('Could not read the saved table settings:', error);
+    }
+    return { sort: null, hidden: [], pageSize: DATA_TABLE_DEFAULT_PAGE_SIZE, ...(saved || {}) };
+}
+
+function saveTablePrefs(tableId, prefs) {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(TABLE_PREFS_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Unreadable settings are replaced
+    }
+    saved[tableId] = prefs;
+    localStorage.setItem(TABLE_PREFS_STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * Rows of a table as currently shown: searched and sorted (all pages).
+ * @returns {Array} The rows, or an empty list for an unknown table.
+ */
+function getDataTableRows(tableId) {
+    const table = dataTables[tableId];
+    if (!table) return [];
+    return TableCore.visibleRows(table.rows, table.columns, {
+        search: table.search,
+        searchText: table.options.searchText,
+        sort: table.prefs.sort
+    });
+}
+
+/**
+ * Empties a rendered table's container (e.g. when there is nothing to show);
+ * its remembered settings are kept.
+ */
+function clearDataTable(tableId) {
+    const table = dataTables[tableId];
+    if (!table) return;
+    table.container.innerHTML = '';
+    table.rows = [];
+}
+
+/**
+ * Columns of a table that are not hidden.
+ */
+function getVisibleDataTableColumns(tableId) {
+    const table = dataTables[tableId];
+    return table ? table.columns.filter(column => !table.prefs.hidden.includes(column.key)) : [];
+}
+
+// Redraws the table and pager of a rendered table (the toolbar keeps its focus)
+function drawDataTable(tableId) {
+    const table = dataTables[tableId];
+    const body = table.container.querySelector('.data-table-body');
+    const rows = getDataTableRows(tableId);
+    const columns = getVisibleDataTableColumns(tableId);
+    const pageSize = table.prefs.pageSize;
+    const pageCount = pageSize > 0 ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+    table.page = Math.min(Math.max(table.page, 1), pageCount);
+    const pageRows = pageSize > 0 ? rows.slice((table.page - 1) * pageSize, table.page * pageSize) : rows;
+    const sort = table.prefs.sort;
+
+    const headerHTML = columns.map(column => {
+        const arrow = sort && sort.key === column.key ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : '';
+        return `<th class="sortable" data-table-sort="${escapeHTML(column.key)}" title="Sort">${escapeHTML(column.label)}${arrow}</th>`;
+    }).join('');
+
+    const rowsHTML = pageRows.map(row => {
+        const attributes = table.options.rowAttributes ? table.options.rowAttributes(row) : '';
+        const cells = columns.map(column => `<td>${column.html ? column.html(row) : escapeHTML(TableCore.cellValue(column, row))}</td>`).join('');
+        return `<tr${attributes ? ` ${attributes}` : ''}>${cells}</tr>`;
+    }).join('');
+
+    const first = rows.length === 0 ? 0 : (table.page - 1) * (pageSize || rows.length) + 1;
+    const last = first === 0 ? 0 : first + pageRows.length - 1;
+    const emptyHTML = rows.length === 0
+        ? `<tr><td colspan="${columns.length || 1}" class="data-table-empty">${escapeHTML(table.search ? 'No rows match the search.' : (table.options.emptyMessage || 'No rows.'))}</td></tr>`
+        : '';
+
+    body.innerHTML = `
+        <div class="data-table-scroll">
+            <table id="${escapeHTML(tableId)}" class="${escapeHTML(table.options.className || '')}">
+                <thead><tr>${headerHTML}</tr></thead>
+                <tbody>${rowsHTML || emptyHTML}</tbody>
+            </table>
+        </div>
+        <div class="data-table-pager">
+            <span>${first.toLocaleString()}–${last.toLocaleString()} of ${rows.length.toLocaleString()}</span>
+            <button type="button" data-table-page="prev" ${table.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+            <span>Page ${table.page} of ${pageCount}</span>
+            <button type="button" data-table-page="next" ${table.page >= pageCount ? 'disabled' : ''}>Next ›</button>
+            <label>Rows per page
+                <select class="data-table-page-size">
+                    ${DATA_TABLE_PAGE_SIZES.map(size => `<option value="${size}" ${size === pageSize ? 'selected' : ''}>${size === 0 ? 'All' : size}</option>`).join('')}
+                </select>
+            </label>
+        </div>
+    `;
+}
+
+// Toolbar, table and pager events; bound once per container
+function bindDataTableEvents(container) {
+    const tableFor = () => dataTables[container.dataset.dataTable];
+
+    container.addEventListener('input', event => {
+        const table = tableFor();
+        if (!table || !event.target.classList.contains('data-table-search')) return;
+        table.search = event.target.value;
+        table.page = 1;
+        drawDataTable(container.dataset.dataTable);
+    });
+
+    container.addEventListener('change', event => {
+        const table = tableFor();
+        if (!table) return;
+        const tableId = container.dataset.dataTable;
+        if (event.target.classList.contains('data-table-column-toggle')) {
+            const key = event.target.value;
+            table.prefs.hidden = event.target.checked
+                ? table.prefs.hidden.filter(hiddenKey => hiddenKey !== key)
+                : table.prefs.hidden.concat(key);
+        } else if (event.target.classList.contains('data-table-page-size')) {
+            table.prefs.pageSize = parseInt(event.target.value, 10) || 0;
+            table.page = 1;
+        } else {
+            return;
+        }
+        saveTablePrefs(tableId, table.prefs);
+        drawDataTable(tableId);
+    });
+
+    container.addEventListener('click', event => {
+        const table = tableFor();
+        if (!table) return;
+        const tableId = container.dataset.dataTable;
+        const header = event.target.closest('th[data-table-sort]');
+        const pageButton = event.target.closest('button[data-table-page]');
+        if (header) {
+            // First click sorts descending (text columns ascending), the next one reverses
+            const key = header.dataset.tableSort;
+            const column = table.columns.find(candidate => candidate.key === key);
+            const current = table.prefs.sort;
+            const firstDirection = column && column.type === 'text' ? 'asc' : 'desc';
+            table.prefs.sort = current && current.key === key
+                ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+                : { key, direction: firstDirection };
+            saveTablePrefs(tableId, table.prefs);
+        } else if (pageButton) {
+            table.page += pageButton.dataset.tablePage === 'next' ? 1 : -1;
+        } else {
+            return;
+        }
+        drawDataTable(tableId);
+    });
+}
+
+/**
+ * Renders a table with click-to-sort headers, a search box, column
+ * show/hide, a sticky header and pagination into a container (replacing its
+ * content). The sort, hidden columns and page size are remembered per table
+ * (also across reloads); the search text and page survive re-renders.
+ * @param {HTMLElement} container - Element that holds only this table.
+ * @param {string} tableId - id of the <table>, also the key of the remembered settings.
+ * @param {Array} columns - [{ key, label, type ('text' sorts A-Z first), value(row)
+ *   (sort value, defaults to row[key]), html(row) (cell HTML, defaults to the
+ *   escaped value), exportValue(row) (spreadsheet cell, defaults to the sort
+ *   value), hideable (default true) }].
+ * @param {Array} rows - The rows, in their default order.
+ * @param {Object} [options] - { className, searchText(row) (enables the search box),
+ *   searchPlaceholder, rowAttributes(row) (HTML attributes of the <tr>), emptyMessage }.
+ */
+function renderDataTable(container, tableId, columns, rows, options = {}) {
+    const previous = dataTables[tableId];
+    dataTables[tableId] = {
+        container,
+        columns,
+        rows,
+        options,
+        prefs: previous ? previous.prefs : loadTablePrefs(tableId),
+        search: previous ? previous.search : '',
+        page: previous ? previous.page : 1
+    };
+    const table = dataTables[tableId];
+
+    if (!container.dataset.dataTable) bindDataTableEvents(container);
+    container.dataset.dataTable = tableId;
+
+    const searchHTML = options.searchText
+        ? `<input type="search" class="data-table-search" placeholder="${escapeHTML(options.searchPlaceholder || 'Search…')}" value="${escapeHTML(table.search)}">`
+        : '';
+    const columnsHTML = columns.filter(column => column.hideable !== false).map(column => `
+        <label><input type="checkbox" class="data-table-column-toggle" value="${escapeHTML(column.key)}"
+            ${table.prefs.hidden.includes(column.key) ? '' : 'checked'}> ${escapeHTML(column.label)}</label>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="data-table-toolbar">
+            ${searchHTML}
+            <details class="data-table-columns">
+                <summary>Columns</summary>
+                <div class="data-table-columns-list">${columnsHTML}</div>
+            </details>
+        </div>
+        <div class="data-table-body"></div>
+    `;
+    drawDataTable(tableId);
+}
+
+// --- EXCEL EXPORT ---
+
+/**
+ * Number for a spreadsheet cell: the metrics functions return AHTs as
+ * toFixed strings, exports want numeric cells. Empty when not a number.
+ */
+function numberCell(value, decimals = 2) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!isFinite(number)) return '';
+    const factor = Math.pow(10, decimals);
+    return Math.round(number * factor) / factor;
+}
+
+/**
+ * Rows of a rendered table as shown (search, sort and visible columns, all
+ * pages) for a sheet: a header row, then one row per table row.
+ * @returns {Array} Array of rows, empty when the table shows nothing.
+ */
+function dataTableSheetRows(tableId) {
+    const rows = getDataTableRows(tableId);
+    if (rows.length === 0) return [];
+    const columns = getVisibleDataTableColumns(tableId);
+    return [
+        columns.map(column => column.label),
+        ...rows.map(row => columns.map(column => {
+            const value = column.exportValue ? column.exportValue(row) : TableCore.cellValue(column, row);
+            return value === null || value === undefined ? '' : value;
+        }))
+    ];
+}
+
+/**
+ * Writes an .xlsx file and downloads it.
+ * @param {string} fileName - e.g. 'tl_dashboard_2025-11-30.xlsx'.
+ * @param {Array} sheets - [{ name, rows }], rows being arrays of cell values
+ *   (numbers become numeric cells). Sheets without rows get a note.
+ */
+function downloadWorkbook(fileName, sheets) {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(sheet => {
+        const rows = sheet.rows.length > 0 ? sheet.rows : [['No data for the current filters.']];
+        // Sheet names are limited to 31 characters
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheet.name.slice(0, 31));
+    });
+    XLSX.writeFile(workbook, fileName);
+}
+
+// Text of the selected option of a filter dropdown, for export summaries
+function selectedOptionText(selectId) {
+    const select = document.getElementById(selectId);
+    return select && select.selectedIndex >= 0 ? select.options[select.selectedIndex].textContent.trim() : '';
+}
+
+/**
+ * File name for an export of the current view, e.g. 'tl_dashboard_2025-11-30.xlsx'.
+ */
+function exportFileName(prefix) {
+    return `${prefix}_${MetricsCore.formatDateForInput(new Date())}.xlsx`;
+}
+
+// --- PERIOD COMPARISON ---
+
+const COMPARISON_LABELS = { previous: 'previous period', lastMonth: 'same period last month', custom: 'custom range' };
+
+/**
+ * Returns the "Compare to" selection, as part of a page's filter state.
+ */
+function getComparisonState() {
+    return {
+        compare: document.getElementById('compareMode').value,
+        compareStart: document.getElementById('compareStartDate').value,
+        compareEnd: document.getElementById('compareEndDate').value
+    };
+}
+
+function applyComparisonState(filters) {
+    selectOptionValue(document.getElementById('compareMode'), filters.compare || 'none');
+    if (filters.compareStart) document.getElementById('compareStartDate').value = filters.compareStart;
+    if (filters.compareEnd) document.getElementById('compareEndDate').value = filters.compareEnd;
+}
+
+/**
+ * Resolves the comparison period for the page's current date range.
+ * Also shows the custom range inputs while "Custom range" is selected.
+ * @returns {{start: Date, end: Date, label: string}|null} Null when no
+ *   comparison is selected or the range is incomplete.
+ */
+function resolveComparisonRange() {
+    const { compare, compareStart, compareEnd } = getComparisonState();
+    const customRange = document.getElementById('compareCustomRange');
+    const rangeLabel = document.getElementById('comparisonRangeLabel');
+    if (customRange) customRange.style.display = compare === 'custom' ? 'flex' : 'none';
+    if (rangeLabel) rangeLabel.textContent = '';
+    if (compare === 'none') return null;
+
+    const range = MetricsCore.comparisonRange(
+        MetricsCore.parseInputDate(document.getElementById('startDateFilter').value),
+        MetricsCore.parseInputDate(document.getElementById('endDateFilter').value),
+        compare,
+        MetricsCore.parseInputDate(compareStart),
+        MetricsCore.parseInputDate(compareEnd)
+    );
+    if (!range) return null;
+
+    const format = date => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    const label = `${COMPARISON_LABELS[compare]}: ${format(range.start)} – ${format(range.end)}`;
+    if (rangeLabel) rangeLabel.textContent = `vs. ${label}`;
+    return { ...range, label };
+}
+
+/**
+ * Formats the change from a comparison value, e.g. "+120 (+5.2%)", coloured
+ * as better or worse.
+ * @param {number} current
+ * @param {number|undefined} previous - Undefined when there is no comparison value.
+ * @param {Object} [options]
+ * @param {boolean} [options.lowerIsBetter] - True for AHTs.
+ * @param {number} [options.decimals] - Decimals of the absolute change.
+ * @returns {string} HTML; empty when previous is undefined.
+ */
+function deltaHTML(current, previous, { lowerIsBetter = false, decimals = 0 } = {}) {
+    if (previous === undefined || previous === null) return '';
+    const change = Number(current) - Number(previous);
+    const percent = MetricsCore.percentChange(current, previous);
+    const sign = change > 0 ? '+' : '';
+    const absolute = `${sign}${change.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+    const percentText = percent === null ? 'new' : `${sign}${percent.toFixed(1)}%`;
+
+    let tone = 'same';
+    if (change !== 0) tone = (change < 0) === lowerIsBetter ? 'better' : 'worse';
+    return `<span class="delta ${tone}" title="Change from the comparison period">${absolute} (${percentText})</span>`;
+}
+
+/**
+ * Shows the change next to a KPI value (in a .kpi-delta line added to its card).
+ */
+function setKPIDelta(valueElementId, current, previous, options) {
+    const valueElement = document.getElementById(valueElementId);
+    if (!valueElement) return;
+    let deltaElement = valueElement.parentElement.querySelector('.kpi-delta');
+    if (!deltaElement) {
+        deltaElement = document.createElement('span');
+        deltaElement.className = 'kpi-delta';
+        valueElement.insertAdjacentElement('afterend', deltaElement);
+    }
+    deltaElement.innerHTML = deltaHTML(current, previous, options);
+}
+
+// --- URL STATE ---
+
+let pendingUrlFilters = null; // Filters from the page URL, until data is available to apply them to
+let urlStateInitialized = false;
+let applyingHistoryState = false;
+
+// Hands out the URL filters once; later datasets keep the user's own selection
+function consumePendingUrlFilters() {
+    const filters = pendingUrlFilters;
+    pendingUrlFilters = null;
+    return filters;
+}
+
+/**
+ * Keeps the page URL in sync with the filters. The first render replaces the
+ * current history entry; every later change adds one, so the browser's
+ * back/forward buttons step through filter changes.
+ */
+function syncUrlWithFilters(filters) {
+    const query = UrlStateCore.filtersToQuery(filters);
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) {
+        urlStateInitialized = true;
+        return;
+    }
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (applyingHistoryState || !urlStateInitialized) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    urlStateInitialized = true;
+}
+
+/**
+ * Points the "Switch to ... Dashboard" link at the other page with the same
+ * TL and date range.
+ */
+function updateSwitchLink(filters) {
+    const link = document.getElementById('switchDashboardLink');
+    if (!link) return;
+    const target = link.getAttribute('href').split('?')[0];
+    const query = UrlStateCore.filtersToQuery({ startDate: filters.startDate, endDate: filters.endDate, tl: filters.tl });
+    link.setAttribute('href', query ? `${target}?${query}` : target);
+}
+
+/**
+ * Records the filters a page just rendered with: stores them, mirrors them in
+ * the URL and carries the TL and dates over to the other dashboard's link.
+ * Called at the end of every render.
+ */
+function recordFilterState(filters) {
+    persistFilterState(filters);
+    syncUrlWithFilters(filters);
+    updateSwitchLink(filters);
+}
+
+/**
+ * Reads the URL filters on page load and re-applies filters when the user
+ * navigates back/forward between filter changes.
+ * @param {Function} handler - (filters) => void; applies the filters and re-renders.
+ */
+function initUrlState(handler) {
+    pendingUrlFilters = UrlStateCore.filtersFromQuery(window.location.search);
+
+    window.addEventListener('popstate', () => {
+        const filters = UrlStateCore.historyEntryFilters(window.location.search);
+        applyingHistoryState = true;
+        try {
+            handler(filters);
+        } finally {
+            applyingHistoryState = false;
+        }
+    });
+}
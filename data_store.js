@@ -0,0 +1,100 @@
+/**
+ * IndexedDB persistence shared by the TL and Employee dashboards: the loaded
+ * data sources and the current filter state survive page reloads and
+ * switching between the two dashboards.
+ * Load before dashboard_common.js.
+ */
+
+const DATA_STORE_DB_NAME = 'tlPerformanceDashboard';
+const DATA_STORE_VERSION = 1;
+const DATA_STORE_OBJECT_STORE = 'state';
+
+// Keys of the records kept in the object store
+const STORED_DATASET_KEY = 'dataset';
+const STORED_FILTERS_KEY = 'filters';
+
+function openDataStore() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(DATA_STORE_DB_NAME, DATA_STORE_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DATA_STORE_OBJECT_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs work against the object store inside one transaction.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} work - (store) => IDBRequest | undefined; the request's
+ *   result is what the returned promise resolves to.
+ * @returns {Promise<*>} Resolves once the transaction completes.
+ */
+function withDataStore(mode, work) {
+    return openDataStore().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(DATA_STORE_OBJECT_STORE, mode);
+        const request = work(transaction.objectStore(DATA_STORE_OBJECT_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+        // e.g. QuotaExceededError on commit, which aborts without an error event
+        transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/**
+ * Stores the loaded sources (with their parsed rows).
+ * @param {Array} sources - The importer's loaded sources, in load order.
+ */
+function saveStoredDataset(sources) {
+    return withDataStore('readwrite', store => store.put({ sources, savedAt: new Date().toISOString() }, STORED_DATASET_KEY));
+}
+
+/**
+ * @returns {Promise<Object|undefined>} { sources, savedAt } or undefined if nothing is stored.
+ */
+function loadStoredDataset() {
+    return withDataStore('readonly', store => store.get(STORED_DATASET_KEY));
+}
+
+/**
+ * Merges a page's filter state into the stored filters, so each dashboard
+ * only overwrites the filters it has (e.g. the TL page keeps the stored
+ * employee selection).
+ * @param {Object} filters - e.g. { startDate, endDate, tl, team, empId }.
+ */
+function saveStoredFilters(filters) {
+    return withDataStore('readwrite', store => {
+        const request = store.get(STORED_FILTERS_KEY);
+        request.onsuccess = () => {
+            store.put({ ...(request.result || {}), ...filters }, STORED_FILTERS_KEY);
+        };
+    });
+}
+
+/**
+ * @returns {Promise<Object|undefined>} The stored filter state.
+ */
+function loadStoredFilters() {
+    return withDataStore('readonly', store => store.get(STORED_FILTERS_KEY));
+}
+
+/**
+ * Removes the stored dataset and filters.
+ */
+function clearStoredData() {
+    return withDataStore('readwrite', store => store.clear());
+}
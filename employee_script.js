@@ -1,8 +1,4 @@
 let rawData = [];
-let charts = {};
-
-// Daily Task Volume Target
-const DAILY_TASK_TARGET = 1800;
 
 const chartOptions = {
     responsive: true,
@@ -28,179 +24,106 @@ const chartOptions = {
     }
 };
 
-/**
- * Robustly parses a "DD/MM/YYYY" date string into a Date object.
- */
-function parseDate(dateString) {
-    const parts = dateString.split('/');
-    if (parts.length === 3) {
-        // Return a Date object (YYYY, MM-1, DD)
-        return new Date(parts[2], parts[1] - 1, parts[0]);
-    }
-    return null;
-}
-
-// Helper function to format a Date object into "YYYY-MM-DD" for the input field
-function formatDateForInput(date) {
-    if (!date) return '';
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
+// --- CHART & TABLE RENDERING FUNCTIONS ---
 
-// --- METRICS CALCULATION ---
+// Headings per "View By" granularity
+const GRANULARITY_LABELS = {
+    day: { adjective: 'Daily', column: 'Date' },
+    week: { adjective: 'Weekly', column: 'ISO Week' },
+    month: { adjective: 'Monthly', column: 'Month' }
+};
 
 /**
- * Calculates aggregate and daily metrics for a specific employee.
- * @param {Array} data - The filtered dataset for one employee.
- * @returns {Object} Aggregate KPIs and a list of daily performance records.
+ * @param {Object} metrics - The employee's metrics.
+ * @param {Object} [attainment] - The employee's daily target attainment.
+ * @param {Object|null} [comparisonMetrics] - The employee's metrics over the comparison period.
  */
-function calculateEmployeeMetrics(data) {
-    if (data.length === 0) {
-        return {
-            overallAHT: '0.00',
-            totalVolume: 0,
-            ahtData: { 'Notification': '0.00', 'Room Status': '0.00', 'Zone Events': '0.00' }, 
-            dailyPerformance: [],
-            employeeName: 'N/A',
-            empId: 'N/A',
-            teamId: null // Default teamId
-        };
-    }
-
-    let totalVolume = 0;
-    let totalWeightedTime = 0;
-    
-    let notifVolume = 0;
-    let notifWeightedTime = 0; 
-    
-    let roomVolume = 0;
-    let roomWeightedTime = 0;  
-    
-    let zoneVolume = 0;
-    let zoneWeightedTime = 0; 
-    
-    let employeeName = data[0]['Employee Name'] || 'N/A';
-    let empId = data[0]['EMP ID'] ? String(data[0]['EMP ID']).trim() : 'N/A';
-    let teamId = null; 
-    
-    const dailyPerformanceMap = new Map();
-
-    data.forEach(item => {
-        const dateKey = item['Date'];
-        const totalNotif = parseInt(item['Total Notification']) || 0;
-        const totalRoom = parseInt(item['Total Room Update']) || 0;
-        const totalZone = parseInt(item['Total Zone Update']) || 0;
-        const ahtNotif = parseFloat(item['AHT - Notification']) || 0;
-        const ahtRoom = parseFloat(item['AHT - Room Status']) || 0;
-        const ahtZone = parseFloat(item['AHT - Zone Events']) || 0;
-        
-        // Capture teamId from the first record
-        if (teamId === null && item['Team']) {
-            teamId = parseInt(item['Team']);
-        }
-
-        const dayVolume = totalNotif + totalRoom + totalZone;
-        const dayWeightedTime = 
-            (totalNotif * ahtNotif) +
-            (totalRoom * ahtRoom) +
-            (totalZone * ahtZone);
-        
-        totalVolume += dayVolume;
-        totalWeightedTime += dayWeightedTime;
-        
-        notifVolume += totalNotif;
-        notifWeightedTime += (totalNotif * ahtNotif); 
-            
-        roomVolume += totalRoom;
-        roomWeightedTime += (totalRoom * ahtRoom); 
-            
-        zoneVolume += totalZone;
-        zoneWeightedTime += (totalZone * ahtZone); 
-        
-        // Daily Aggregation
-        let dailyMetrics = dailyPerformanceMap.get(dateKey) || {
-            date: dateKey,
-            totalVolume: 0,
-            weightedTime: 0,
-            notifVolume: 0,
-            notifWeightedTime: 0, 
-            roomVolume: 0,
-            roomWeightedTime: 0,  
-            zoneVolume: 0,
-            zoneWeightedTime: 0,  
-        };
-
-        dailyMetrics.totalVolume += dayVolume;
-        dailyMetrics.weightedTime += dayWeightedTime;
-        dailyMetrics.notifVolume += totalNotif;
-        dailyMetrics.notifWeightedTime += (totalNotif * ahtNotif); 
-        dailyMetrics.roomVolume += totalRoom;
-        dailyMetrics.roomWeightedTime += (totalRoom * ahtRoom); 
-        dailyMetrics.zoneVolume += totalZone;
-        dailyMetrics.zoneWeightedTime += (totalZone * ahtZone); 
-        
-        dailyPerformanceMap.set(dateKey, dailyMetrics);
-    });
-
-    const overallAHT = totalVolume > 0 ? (totalWeightedTime / totalVolume).toFixed(2) : '0.00';
-    
-    // Aggregate AHT by Task Type (using overall sums)
-    const ahtData = {
-        'Notification': notifVolume > 0 ? (notifWeightedTime / notifVolume).toFixed(2) : '0.00',
-        'Room Status': roomVolume > 0 ? (roomWeightedTime / roomVolume).toFixed(2) : '0.00',
-        'Zone Events': zoneVolume > 0 ? (zoneWeightedTime / zoneVolume).toFixed(2) : '0.00',
-    };
-    
-    // Process daily records for final output and sort by date
-    const dailyPerformance = Array.from(dailyPerformanceMap.values())
-        .map(day => ({
-            ...day,
-            overallAHT: day.totalVolume > 0 ? (day.weightedTime / day.totalVolume).toFixed(2) : '0.00',
-            notifAHT: day.notifVolume > 0 ? (day.notifWeightedTime / day.notifVolume).toFixed(2) : '0.00',
-            roomAHT: day.roomVolume > 0 ? (day.roomWeightedTime / day.roomVolume).toFixed(2) : '0.00',
-            zoneAHT: day.zoneVolume > 0 ? (day.zoneWeightedTime / day.zoneVolume).toFixed(2) : '0.00',
-        }))
-        .sort((a, b) => parseDate(a.date) - parseDate(b.date)); // Sort by date ascending
-
-    return {
-        overallAHT,
-        totalVolume,
-        ahtData, 
-        dailyPerformance,
-        employeeName,
-        empId,
-        teamId // Added teamId
-    };
-}
-
-// --- CHART & TABLE RENDERING FUNCTIONS ---
-
-function updateKPIs(metrics) {
+function updateKPIs(metrics, attainment, comparisonMetrics) {
     document.getElementById('kpiVolume').innerText = (metrics.totalVolume || 0).toLocaleString();
     document.getElementById('kpiAHT').innerText = metrics.overallAHT || '0.00';
     
     document.getElementById('kpiNotifAHT').innerText = metrics.ahtData['Notification'] || '0.00'; 
     document.getElementById('kpiRoomAHT').innerText = metrics.ahtData['Room Status'] || '0.00';
     document.getElementById('kpiZoneAHT').innerText = metrics.ahtData['Zone Events'] || '0.00';
+    document.getElementById('kpiMixIndex').innerText = formatMixIndex(metrics.mixAdjustedIndex);
+
+    // Days at or above the daily volume target, and the current run of missed days
+    const tracked = attainment && attainment.trackedDays > 0;
+    document.getElementById('kpiAttainment').innerText = tracked ? `${attainment.attainmentPct.toFixed(1)}%` : '-';
+    document.getElementById('kpiAttainmentDetail').innerText = tracked
+        ? `${attainment.metDays} of ${attainment.trackedDays} days met · ${attainment.currentBelowStreak} day(s) below in a row`
+        : (attainment ? 'No daily target applies' : '');
+
+    // Changes from the comparison period (cleared when not comparing)
+    const previous = comparisonMetrics && comparisonMetrics.totalVolume > 0 ? comparisonMetrics : null;
+    const previousValue = value => (previous ? parseFloat(value) || 0 : undefined);
+    const ahtOptions = { lowerIsBetter: true, decimals: 2 };
+    setKPIDelta('kpiVolume', metrics.totalVolume || 0, previous ? previous.totalVolume : undefined);
+    setKPIDelta('kpiAHT', parseFloat(metrics.overallAHT) || 0, previousValue(previous && previous.overallAHT), ahtOptions);
+    setKPIDelta('kpiNotifAHT', parseFloat(metrics.ahtData['Notification']) || 0, previousValue(previous && previous.ahtData['Notification']), ahtOptions);
+    setKPIDelta('kpiRoomAHT', parseFloat(metrics.ahtData['Room Status']) || 0, previousValue(previous && previous.ahtData['Room Status']), ahtOptions);
+    setKPIDelta('kpiZoneAHT', parseFloat(metrics.ahtData['Zone Events']) || 0, previousValue(previous && previous.ahtData['Zone Events']), ahtOptions);
+    setKPIDelta('kpiMixIndex', metrics.mixAdjustedIndex, metrics.mixAdjustedIndex === null || !previous ? undefined : previous.mixAdjustedIndex, ahtOptions);
 }
 
-function createChart(chartId, type, data, options) {
-    if (charts[chartId]) {
-        charts[chartId].destroy(); 
-    }
-    const ctx = document.getElementById(chartId);
-    if (ctx) { 
-        const context = ctx.getContext('2d');
-        charts[chartId] = new Chart(context, { type, data, options });
-    }
+// KPI cards benchmarked against peers, with the metrics field they show
+const BENCHMARK_KPIS = [
+    { id: 'kpiVolume', field: 'totalVolume' },
+    { id: 'kpiAHT', field: 'overallAHT' },
+    { id: 'kpiNotifAHT', field: 'notifAHT' },
+    { id: 'kpiRoomAHT', field: 'roomAHT' },
+    { id: 'kpiZoneAHT', field: 'zoneAHT' },
+];
+
+/**
+ * Adds the peer benchmark under each KPI: percentile rank within the team,
+ * the TL group and the site, and the distance from the team median.
+ * @param {Object|null} benchmarks - MetricsCore.calculatePeerBenchmarks output.
+ */
+function renderKPIBenchmarks(benchmarks) {
+    BENCHMARK_KPIS.forEach(kpi => {
+        const valueElement = document.getElementById(kpi.id);
+        let benchmarkElement = valueElement.parentElement.querySelector('.kpi-benchmark');
+        if (!benchmarkElement) {
+            benchmarkElement = document.createElement('span');
+            benchmarkElement.className = 'kpi-benchmark';
+            valueElement.parentElement.appendChild(benchmarkElement);
+        }
+
+        const value = benchmarks ? benchmarks.values[kpi.field] : null;
+        if (value === null) {
+            benchmarkElement.innerHTML = '';
+            return;
+        }
+
+        const spec = MetricsCore.BENCHMARK_FIELDS.find(field => field.field === kpi.field);
+        const rank = group => (group.percentiles[kpi.field] === null ? 'n/a' : Math.round(group.percentiles[kpi.field]));
+        const teamMedian = benchmarks.team.medians[kpi.field];
+        let teamMedianText = 'n/a';
+        if (teamMedian !== null) teamMedianText = spec.lowerIsBetter ? teamMedian.toFixed(2) : Math.round(teamMedian).toLocaleString();
+        benchmarkElement.innerHTML = `
+            <span title="Share of peers this employee does better than">Percentile: team ${rank(benchmarks.team)} · TL ${rank(benchmarks.tlGroup)} · site ${rank(benchmarks.site)}</span>
+            <span>vs team median (${teamMedianText}):
+                ${deltaHTML(value, teamMedian, { lowerIsBetter: spec.lowerIsBetter, decimals: spec.lowerIsBetter ? 2 : 0 })}</span>
+        `;
+    });
 }
 
 /**
- * Renders the daily trend charts for Volume and all AHT types.
+ * Renders the trend charts for Volume and all AHT types.
+ * @param {Array} dailyPerformance - Metrics per day, ISO week or month (`date` is the label).
+ * @param {string} employeeName
+ * @param {Map} targetDays - Attainment per day or period (label -> { target, met })
+ *   for the target line on the volume chart.
+ * @param {Object|null} comparison - { start, currentStart, label, metrics } of the
+ *   comparison period, overlaid day by day (day 1 of the period on day 1), or
+ *   week by week / month by month in the same way.
+ * @param {Object|null} benchmarks - Peer benchmarks for the team and site median lines.
+ * @param {Array} anomalies - The employee's anomalies (anomaly_core.js), marked on the
+ *   day or the period they fall in.
+ * @param {string} [granularity='day'] - 'day', 'week' or 'month'.
  */
-function renderEmployeeTrends(dailyPerformance, employeeName) {
+function renderEmployeeTrends(dailyPerformance, employeeName, targetDays, comparison, benchmarks, anomalies, granularity = 'day') {
     const dates = dailyPerformance.map(d => d.date);
     const volumes = dailyPerformance.map(d => d.totalVolume);
     const ahts = dailyPerformance.map(d => parseFloat(d.overallAHT));
@@ -210,14 +133,26 @@ function renderEmployeeTrends(dailyPerformance, employeeName) {
     const zoneAhts = dailyPerformance.map(d => parseFloat(d.zoneAHT));
     
     const trendCharts = [
-        { id: 'volumeTrendChart', messageId: 'volumeTrendMessage', title: 'Daily Volume Trend', data: volumes, label: 'Total Volume', color: '#007bff' },
-        { id: 'ahtTrendChart', messageId: 'ahtTrendMessage', title: 'Daily Overall AHT Trend (s)', data: ahts, label: 'Overall AHT (s)', color: '#dc3545' },
+        { id: 'volumeTrendChart', messageId: 'volumeTrendMessage', title: 'Daily Volume Trend', data: volumes, field: 'totalVolume', label: 'Total Volume', color: '#007bff' },
+        { id: 'ahtTrendChart', messageId: 'ahtTrendMessage', title: 'Daily Overall AHT Trend (s)', data: ahts, field: 'overallAHT', label: 'Overall AHT (s)', color: '#dc3545' },
         // NEW Charts
-        { id: 'notifAHTTrendChart', messageId: 'notifAHTTrendMessage', title: 'Daily Notification AHT Trend (s)', data: notifAhts, label: 'Notification AHT (s)', color: '#28a745' },
-        { id: 'roomAHTTrendChart', messageId: 'roomAHTTrendMessage', title: 'Daily Room Status AHT Trend (s)', data: roomAhts, label: 'Room Status AHT (s)', color: '#ffc107' },
-        { id: 'zoneAHTTrendChart', messageId: 'zoneAHTTrendMessage', title: 'Daily Zone Event AHT Trend (s)', data: zoneAhts, label: 'Zone Event AHT (s)', color: '#17a2b8' },
+        { id: 'notifAHTTrendChart', messageId: 'notifAHTTrendMessage', title: 'Daily Notification AHT Trend (s)', data: notifAhts, field: 'notifAHT', label: 'Notification AHT (s)', color: '#28a745' },
+        { id: 'roomAHTTrendChart', messageId: 'roomAHTTrendMessage', title: 'Daily Room Status AHT Trend (s)', data: roomAhts, field: 'roomAHT', label: 'Room Status AHT (s)', color: '#ffc107' },
+        { id: 'zoneAHTTrendChart', messageId: 'zoneAHTTrendMessage', title: 'Daily Zone Event AHT Trend (s)', data: zoneAhts, field: 'zoneAHT', label: 'Zone Event AHT (s)', color: '#17a2b8' },
     ];
 
+    // Comparison day or period matching each plotted one: same offset from the start of its range
+    let comparisonDays = [];
+    if (comparison && dailyPerformance.length > 0) {
+        const startOf = entry => (granularity === 'day' ? MetricsCore.parseDate(entry.date) : entry.periodStart);
+        const comparisonEntries = granularity === 'day' ? comparison.metrics.dailyPerformance : comparison.metrics.periodPerformance;
+        const comparisonByOffset = new Map(comparisonEntries.map(entry =>
+            [MetricsCore.periodOffset(comparison.start, startOf(entry), granularity), entry]));
+        const currentStart = comparison.currentStart || startOf(dailyPerformance[0]);
+        comparisonDays = dailyPerformance.map(entry =>
+            comparisonByOffset.get(MetricsCore.periodOffset(currentStart, startOf(entry), granularity)) || null);
+    }
+
     trendCharts.forEach(chartInfo => {
         const canvas = document.getElementById(chartInfo.id);
         const message = document.getElementById(chartInfo.messageId);
@@ -230,127 +165,221 @@ function renderEmployeeTrends(dailyPerformance, employeeName) {
 
         if (!hasData) return;
 
-        createChart(chartInfo.id, 'line', {
-            labels: dates,
-            datasets: [{
-                label: chartInfo.label,
-                data: chartInfo.data,
-                backgroundColor: chartInfo.color + '40', // light fill
-                borderColor: chartInfo.color,
+        const datasets = [{
+            label: chartInfo.label,
+            data: chartInfo.data,
+            backgroundColor: chartInfo.color + '40', // light fill
+            borderColor: chartInfo.color,
+            borderWidth: 2,
+            tension: 0.4,
+            fill: true
+        }];
+
+        if (comparisonDays.some(day => day)) {
+            datasets.push({
+                label: `${chartInfo.label} – ${comparison.label}`,
+                data: comparisonDays.map(day => (day ? parseFloat(day[chartInfo.field]) : null)),
+                borderColor: '#6c757d',
                 borderWidth: 2,
+                borderDash: [2, 3],
+                pointRadius: 2,
                 tension: 0.4,
-                fill: true
-            }]
+                fill: false
+            });
+        }
+
+        // Anomaly markers on the flagged days, described in the tooltip
+        const chartAnomalies = new Map();
+        anomalies.filter(anomaly => anomaly.field === chartInfo.field).forEach(anomaly => {
+            const label = granularity === 'day'
+                ? anomaly.date
+                : MetricsCore.periodOf(MetricsCore.parseDate(anomaly.date), granularity).label;
+            const note = `${granularity === 'day' ? '' : `${anomaly.date} `}${anomaly.basis}: ${anomaly.description}`;
+            chartAnomalies.set(label, (chartAnomalies.get(label) || []).concat(note));
+        });
+        if (chartAnomalies.size > 0) {
+            datasets.push({
+                label: 'Anomaly',
+                data: dates.map((date, index) => (chartAnomalies.has(date) ? chartInfo.data[index] : null)),
+                anomalyNotes: dates.map(date => chartAnomalies.get(date) || []),
+                showLine: false,
+                pointStyle: 'triangle',
+                pointRadius: 8,
+                pointHoverRadius: 10,
+                backgroundColor: '#dc3545',
+                borderColor: '#dc3545'
+            });
+        }
+
+        // Team and site medians of the same day
+        if (benchmarks) {
+            [
+                { group: benchmarks.team, label: 'Team median', color: '#6f42c1' },
+                { group: benchmarks.site, label: 'Site median', color: '#fd7e14' },
+            ].forEach(line => {
+                datasets.push({
+                    label: line.label,
+                    data: dates.map(date => (line.group.daily.has(date) ? line.group.daily.get(date)[chartInfo.field] : null)),
+                    borderColor: line.color,
+                    borderWidth: 1.5,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    tension: 0.4,
+                    fill: false
+                });
+            });
+        }
+
+        // Volume target line, the daily target times the working days of a week / month
+        // (gaps where there is no target)
+        const targets = dates.map(date => (targetDays.has(date) ? targetDays.get(date).target : null));
+        if (chartInfo.id === 'volumeTrendChart' && targets.some(target => target !== null)) {
+            datasets.push({
+                label: granularity === 'day' ? 'Daily Target' : 'Target (daily × working days)',
+                data: targets,
+                borderColor: '#dc3545',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+            });
+        }
+
+        createChart(chartInfo.id, 'line', {
+            labels: dates,
+            datasets
         }, {
             ...chartOptions,
-            plugins: { ...chartOptions.plugins, title: { display: true, text: `${employeeName} - ${chartInfo.label}` } }
+            plugins: {
+                ...chartOptions.plugins,
+                title: { display: true, text: `${employeeName} - ${chartInfo.label}` },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: context => (context.dataset.anomalyNotes ? context.dataset.anomalyNotes[context.dataIndex] : '')
+                    }
+                }
+            }
         });
     });
 }
 
 /**
- * Renders the performance feedback message based on total volume.
+ * Renders the performance feedback: every targets rule that applies to the
+ * employee's rows (see performanceFeedbackContent), with the checks that
+ * passed and failed.
+ * @param {Object} metrics - The employee's metrics.
+ * @param {Array} employeeData - The employee's rows in the selected period.
  */
-function renderPerformanceFeedback(metrics) {
+function renderPerformanceFeedback(metrics, employeeData) {
     const container = document.getElementById('performanceFeedbackContainer');
     if (!container) return;
 
-    const targetTeams = [3, 4, 6];
-    // *** MODIFICATION 1: Use the constant DAILY_TASK_TARGET (1800) ***
-    const volumeThreshold = DAILY_TASK_TARGET; 
-    
-    // We check the AVERAGE daily volume for the selected period, not the total volume.
-    const numberOfDays = metrics.dailyPerformance.length;
-    const avgDailyVolume = numberOfDays > 0 ? metrics.totalVolume / numberOfDays : 0;
+    const feedback = performanceFeedbackContent(metrics, employeeData);
+    const toneClasses = {
+        neutral: 'bg-gray-100 text-gray-700 border-gray-400', // Default neutral style
+        info: 'bg-blue-100 text-blue-800 border-blue-400', // Informational
+        good: 'bg-green-100 text-green-800 border-green-400', // Good Performance
+        bad: 'bg-red-100 text-red-800 border-red-400' // Needs Improvement
+    };
 
-    const empName = metrics.employeeName !== 'N/A' ? metrics.employeeName : 'Employee';
+    container.className = `p-4 mt-4 mb-6 rounded-lg border-l-4 shadow-md ${toneClasses[feedback.tone]}`;
+    container.innerHTML = `<p class="font-semibold">${escapeHTML(feedback.name)}:</p>${feedback.html}`;
+}
 
-    let message = '';
-    let bgColor = 'bg-gray-100 text-gray-700 border-gray-400'; // Default neutral style
-    
-    // Check if an employee is selected/data exists
-    if (metrics.empId === 'N/A' || metrics.totalVolume === 0) {
-        message = 'Select an employee and upload data to view performance feedback.';
-    } else if (targetTeams.includes(metrics.teamId)) {
-        // Rule applies to Team 3, 4, or 6
-        // *** MODIFICATION 2: Performance check against AVERAGE daily volume ***
-        if (avgDailyVolume < volumeThreshold) {
-            message = `Performance Review (Team ${metrics.teamId}): The employee's average daily task count is **${avgDailyVolume.toFixed(0).toLocaleString()}**, which is below the target of **${volumeThreshold.toLocaleString()}**. Focus on increasing daily volume across all task types.`;
-            bgColor = 'bg-red-100 text-red-800 border-red-400'; // Needs Improvement
-        } else {
-            message = `Performance Review (Team ${metrics.teamId}): Excellent Job! The employee's average daily task count is **${avgDailyVolume.toFixed(0).toLocaleString()}**, meeting or exceeding the minimum target of **${volumeThreshold.toLocaleString()}**. Keep up the great work!`;
-            bgColor = 'bg-green-100 text-green-800 border-green-400'; // Good Performance
-        }
-    } else {
-        // Rule doesn't apply to other teams or team data is missing
-        message = `Performance Review: Total tasks handled is ${metrics.totalVolume.toLocaleString()} over ${numberOfDays} day(s). Specific volume targets for Team ${metrics.teamId || 'N/A'} are not defined in this custom report.`;
-        bgColor = 'bg-blue-100 text-blue-800 border-blue-400'; // Informational
-    }
-    
-    container.className = `p-4 mt-4 mb-6 rounded-lg border-l-4 shadow-md ${bgColor}`;
-    container.innerHTML = `<p class="font-semibold">${empName}:</p><p class="mt-1">${message}</p>`;
+/**
+ * Opens the targets & rules settings and re-evaluates the feedback on save.
+ */
+function openRulesSettings() {
+    showRulesSettingsDialog().then(config => {
+        if (config) renderDashboard();
+    });
 }
 
 
 /**
- * Renders the detailed daily performance table.
+ * Renders the detailed performance table, one row per day, ISO week or month.
+ * @param {Map} targetDays - Attainment per day or period (label -> { target, workingDays, met }).
+ * @param {string} [granularity='day'] - 'day', 'week' or 'month'.
  */
-function renderEmployeeDailyTable(dailyPerformance, employeeName) {
-    const container = document.getElementById('dailyDetailsContainer');
+function renderEmployeeDailyTable(dailyPerformance, employeeName, targetDays, granularity = 'day') {
+    const container = document.getElementById('dailyTableContainer');
     const titleElement = document.getElementById('dailyDetailTitle');
-    
-    const tableId = 'employeeDailyTable';
-    let existingTable = document.getElementById(tableId);
 
     if (dailyPerformance.length === 0) {
-        titleElement.textContent = `No daily records found for ${employeeName} in the selected range.`;
-        if (existingTable) existingTable.remove(); 
+        titleElement.textContent = `No records found for ${employeeName} in the selected range.`;
+        clearDataTable('employeeDailyTable');
         return;
     }
 
-    titleElement.textContent = `${employeeName}'s Daily Performance Records`;
-
-    let tableHTML = `
-        <table id="${tableId}" class="employee-daily-table">
-            <thead>
-                <tr>
-                    <th>Date</th>
-                    <th>Total Volume</th>
-                    <th>Overall AHT (s)</th>
-                    <th>Notif Volume</th>
-                    <th>Notif AHT (s)</th>
-                    <th>Room Volume</th>
-                    <th>Room AHT (s)</th>
-                    <th>Zone Volume</th>
-                    <th>Zone AHT (s)</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
-
-    dailyPerformance.forEach(day => {
-        tableHTML += `
-            <tr>
-                <td>${day.date}</td>
-                <td>${day.totalVolume.toLocaleString()}</td>
-                <td>${day.overallAHT}</td>
-                <td>${day.notifVolume.toLocaleString()}</td>
-                <td>${day.notifAHT}</td>
-                <td>${day.roomVolume.toLocaleString()}</td>
-                <td>${day.roomAHT}</td>
-                <td>${day.zoneVolume.toLocaleString()}</td>
-                <td>${day.zoneAHT}</td>
-            </tr>
-        `;
+    const labels = GRANULARITY_LABELS[granularity];
+    titleElement.textContent = `${employeeName}'s ${labels.adjective} Performance Records`;
+
+    const rows = dailyPerformance.map(day => {
+        const targetDay = targetDays.get(day.date);
+        return { ...day, targetDay: targetDay && targetDay.met !== null ? targetDay : null };
+    });
+    const volumeColumn = (key, label) => ({ key, label, html: day => day[key].toLocaleString() });
+    const ahtColumn = (key, label, volumeKey) => ({
+        key,
+        label,
+        value: day => (day[volumeKey] > 0 ? parseFloat(day[key]) : null),
+        html: day => day[key],
+        exportValue: day => numberCell(day[key])
     });
 
-    tableHTML += `</tbody></table>`;
-    
-    if (existingTable) {
-        existingTable.outerHTML = tableHTML;
-    } else {
-        container.insertAdjacentHTML('beforeend', tableHTML);
-    }
+    const columns = [
+        {
+            key: 'date',
+            label: labels.column,
+            hideable: false,
+            value: day => (day.periodStart || MetricsCore.parseDate(day.date)).getTime(),
+            html: day => escapeHTML(day.date),
+            exportValue: day => day.date
+        },
+        volumeColumn('totalVolume', 'Total Volume'),
+        ahtColumn('overallAHT', 'Overall AHT (s)', 'totalVolume'),
+        volumeColumn('notifVolume', 'Notif Volume'),
+        ahtColumn('notifAHT', 'Notif AHT (s)', 'notifVolume'),
+        volumeColumn('roomVolume', 'Room Volume'),
+        ahtColumn('roomAHT', 'Room AHT (s)', 'roomVolume'),
+        volumeColumn('zoneVolume', 'Zone Volume'),
+        ahtColumn('zoneAHT', 'Zone AHT (s)', 'zoneVolume'),
+        {
+            key: 'mixAdjustedIndex',
+            label: 'Mix-Adj. AHT Index',
+            html: day => formatMixIndex(day.mixAdjustedIndex),
+            exportValue: day => numberCell(day.mixAdjustedIndex)
+        },
+        {
+            key: 'target',
+            label: granularity === 'day' ? 'Daily Target' : 'Target',
+            value: day => (day.targetDay ? day.targetDay.target : null),
+            html: day => (day.targetDay ? day.targetDay.target.toLocaleString() : '-')
+        },
+        // Weeks and months: the days the target was scaled by
+        ...(granularity === 'day' ? [] : [{
+            key: 'workingDays',
+            label: 'Working Days',
+            value: day => (day.targetDay ? day.targetDay.workingDays : null),
+            html: day => (day.targetDay ? day.targetDay.workingDays : '-')
+        }]),
+        {
+            key: 'met',
+            label: 'Target Met',
+            value: day => (day.targetDay ? Number(day.targetDay.met) : null),
+            html: day => (day.targetDay
+                ? `<span class="${day.targetDay.met ? 'target-met' : 'target-missed'}">${day.targetDay.met ? 'Met' : 'Missed'}</span>`
+                : '-'),
+            exportValue: day => (day.targetDay ? (day.targetDay.met ? 'Met' : 'Missed') : '')
+        },
+    ];
+
+    renderDataTable(container, 'employeeDailyTable', columns, rows, {
+        className: 'employee-daily-table',
+        searchText: day => day.date,
+        searchPlaceholder: `Search ${labels.column.toLowerCase()}…`
+    });
 }
 
 
@@ -410,7 +439,7 @@ function populateEmployeeFilter(data) {
 
 
 function populateDateFilters(data) {
-    const dateElements = data.map(item => parseDate(item['Date'])).filter(d => d && !isNaN(d));
+    const dateElements = data.map(item => MetricsCore.parseDate(item['Date'])).filter(d => d && !isNaN(d));
     if (dateElements.length === 0) return;
 
     const minDate = new Date(Math.min(...dateElements));
@@ -418,63 +447,198 @@ function populateDateFilters(data) {
 
     // Only update if filters are empty
     if (!document.getElementById('startDateFilter').value) {
-        document.getElementById('startDateFilter').value = formatDateForInput(minDate);
+        document.getElementById('startDateFilter').value = MetricsCore.formatDateForInput(minDate);
     }
     if (!document.getElementById('endDateFilter').value) {
-        document.getElementById('endDateFilter').value = formatDateForInput(maxDate);
+        document.getElementById('endDateFilter').value = MetricsCore.formatDateForInput(maxDate);
+    }
+}
+
+// --- FILTER STATE ---
+
+/**
+ * Returns the current filter selection, in the shape shared with the
+ * TL dashboard (see data_store.js).
+ */
+function getFilterState() {
+    return {
+        startDate: document.getElementById('startDateFilter').value,
+        endDate: document.getElementById('endDateFilter').value,
+        tl: document.getElementById('tlFilter').value,
+        empId: document.getElementById('employeeFilter').value,
+        granularity: document.getElementById('granularityFilter').value,
+        ...getComparisonState()
+    };
+}
+
+/**
+ * Applies a stored or linked (URL) filter state to the controls. The employee options are
+ * only built while rendering, so the employee is kept as a placeholder option.
+ */
+function applyFilterState(filters) {
+    if (filters.startDate) document.getElementById('startDateFilter').value = filters.startDate;
+    if (filters.endDate) document.getElementById('endDateFilter').value = filters.endDate;
+    selectOptionValue(document.getElementById('tlFilter'), filters.tl);
+    selectOptionValue(document.getElementById('employeeFilter'), filters.empId, true);
+    selectOptionValue(document.getElementById('granularityFilter'), filters.granularity || 'day');
+    applyComparisonState(filters);
+}
+
+// --- EXPORT ---
+
+// What the last render showed, for the Excel export
+let currentView = null;
+
+/**
+ * Downloads the current view as an .xlsx workbook: a summary (employee,
+ * filters and KPIs) and the daily / weekly / monthly records as shown.
+ */
+function exportCurrentView() {
+    if (!currentView || currentView.metrics.empId === 'N/A') {
+        setImportStatus('Select an employee before exporting.', 'error');
+        return;
     }
+    const { metrics, attainment, assignments, comparison, granularity } = currentView;
+    const filters = getFilterState();
+    const tracked = attainment && attainment.trackedDays > 0;
+
+    const summary = [
+        ['Employee Performance Dashboard'],
+        ['Exported', new Date().toLocaleString()],
+        [],
+        ['Employee', metrics.employeeName],
+        ['EMP ID', metrics.empId],
+        ['Team', metrics.teamId === null ? '' : metrics.teamId],
+        [],
+        ['Filter', 'Value'],
+        ['Start Date', filters.startDate],
+        ['End Date', filters.endDate],
+        ['Team Lead', selectedOptionText('tlFilter')],
+        ['View By', GRANULARITY_LABELS[granularity].adjective],
+        ['Compared To', comparison ? comparison.label : 'No comparison'],
+        [],
+        ['KPI', 'Value'],
+        ['Total Volume', metrics.totalVolume],
+        ['Overall AHT (s)', numberCell(metrics.overallAHT)],
+        ...MetricsCore.TASK_TYPES.map(task => [`Avg ${task.key} AHT (s)`, numberCell(metrics.ahtData[task.key])]),
+        ['Mix-Adjusted AHT Index', numberCell(metrics.mixAdjustedIndex)],
+        ['Daily Target Attainment (%)', tracked ? numberCell(attainment.attainmentPct, 1) : ''],
+        ['Days Met Target', tracked ? attainment.metDays : ''],
+        ['Days With a Target', tracked ? attainment.trackedDays : ''],
+        ['Days Below Target in a Row', tracked ? attainment.currentBelowStreak : '']
+    ];
+
+    const assignmentRows = assignments.length === 0 ? [] : [
+        ['Team Leader', 'Team', 'From', 'To', 'Days Worked', 'Total Volume', 'Overall AHT (s)'],
+        ...assignments.map(assignment => [assignment.tl, assignment.team, assignment.startDate, assignment.endDate,
+            assignment.days, assignment.totalVolume, numberCell(assignment.overallAHT)])
+    ];
+
+    const fileName = exportFileName(`employee_${String(metrics.empId).replace(/[^a-zA-Z0-9_-]/g, '')}`);
+    downloadWorkbook(fileName, [
+        { name: 'Summary', rows: summary },
+        { name: `${GRANULARITY_LABELS[granularity].adjective} Records`, rows: dataTableSheetRows('employeeDailyTable') },
+        { name: 'Assignments', rows: assignmentRows }
+    ]);
+}
+
+// --- REVIEW REPORT ---
+
+/**
+ * Opens the printable review report of the selected employee over the
+ * selected dates (see review_report.js).
+ */
+function generateReview() {
+    if (!currentView || currentView.metrics.empId === 'N/A') {
+        setImportStatus('Select an employee before generating a review.', 'error');
+        return;
+    }
+    const filters = getFilterState();
+    const review = buildEmployeeReview(currentView.dateFilteredData, filters.empId, {
+        tl: filters.tl,
+        granularity: currentView.granularity,
+        startDate: filters.startDate,
+        endDate: filters.endDate
+    });
+    if (!review) {
+        setImportStatus('The selected employee has no records in the selected dates.', 'error');
+        return;
+    }
+    showPrintableReport(`Performance Review - ${review.metrics.employeeName} (${review.metrics.empId})`, reviewReportHTML(review));
 }
 
 // --- MAIN CONTROL FUNCTIONS ---
 
+/**
+ * Keeps one employee's rows (under the selected TL). No employee selected
+ * means no rows.
+ */
+function filterToEmployee(data, selectedTL, selectedEmpId) {
+    if (selectedEmpId === 'none') return [];
+    return data.filter(item => (selectedTL === 'all' || item['TL'] === selectedTL)
+        && String(item['EMP ID']).trim() === selectedEmpId);
+}
+
+/**
+ * Shows the employee's TL / team under the title, or every assignment with
+ * its own volume and AHT when they transferred during the selected dates.
+ * @param {Array} assignments - MetricsCore.employeeAssignments entries of the employee.
+ */
+function renderEmployeeAssignments(assignments) {
+    const container = document.getElementById('employeeAssignments');
+    if (!container) return;
+    if (assignments.length === 0) {
+        container.innerHTML = '';
+    } else if (assignments.length === 1) {
+        container.textContent = assignmentText(assignments[0]);
+    } else {
+        container.innerHTML = `<strong>Transferred ${assignments.length - 1} time(s):</strong> ${assignmentHistoryHTML(assignments)}`;
+    }
+}
+
 function renderDashboard() {
     const selectedEmpId = document.getElementById('employeeFilter').value;
     const selectedTL = document.getElementById('tlFilter').value;
-    const startDateStr = document.getElementById('startDateFilter').value;
-    const endDateStr = document.getElementById('endDateFilter').value;
-
-    const startDate = startDateStr ? new Date(startDateStr) : null;
-    const endDate = endDateStr ? new Date(endDateStr) : null;
-    
-    const startOfDay = (d) => d ? new Date(d.getFullYear(), d.getMonth(), d.getDate()) : null;
+    const startDate = MetricsCore.parseInputDate(document.getElementById('startDateFilter').value);
+    const endDate = MetricsCore.parseInputDate(document.getElementById('endDateFilter').value);
+    const granularity = document.getElementById('granularityFilter').value;
     
     // 1. Filter Data by Date and TL
-    let filteredData = rawData.filter(item => {
-        const itemDate = parseDate(item['Date']);
-        if (!itemDate || isNaN(itemDate)) return false; 
-
-        const itemDateOnly = startOfDay(itemDate);
-        
-        let withinDate = true;
-        if (startDate) {
-            withinDate = itemDateOnly >= startOfDay(startDate);
-        }
-        if (endDate) {
-            // Check against end date, setting time to end of day to include the full day
-            const endOfDay = new Date(endDate);
-            endOfDay.setHours(23, 59, 59, 999);
-            withinDate = withinDate && (itemDateOnly <= endOfDay);
-        }
-
-        let tlMatch = selectedTL === 'all' || item['TL'] === selectedTL;
-        
-        return withinDate && tlMatch;
-    });
+    const dateFilteredData = MetricsCore.filterByDateRange(rawData, startDate, endDate);
+    const filteredData = dateFilteredData.filter(item => selectedTL === 'all' || item['TL'] === selectedTL);
 
     // Repopulate the Employee filter after date/TL filtering to show only valid options
     populateEmployeeFilter(filteredData);
     
-    // 2. Filter data down to the selected employee (using the selectedEmpId from the filter)
-    let employeeData = filteredData;
-    if (selectedEmpId !== 'none') {
-         employeeData = filteredData.filter(item => String(item['EMP ID']).trim() === selectedEmpId);
-    } else {
-         // If no employee is selected, we show empty state
-         employeeData = [];
-    }
-
-    // 3. Calculate Metrics for the selected employee
-    const metrics = calculateEmployeeMetrics(employeeData);
+    // 2. Filter data down to the selected employee (using the selectedEmpId from the filter);
+    // if no employee is selected, we show empty state
+    const employeeData = filterToEmployee(dateFilteredData, selectedTL, selectedEmpId);
+
+    // 3. Calculate Metrics and daily target attainment for the selected employee,
+    // with the trends, records and targets per selected period; the mix-adjusted
+    // AHT index compares with the whole site's per-task AHTs over the dates
+    const standardAHT = MetricsCore.siteStandardAHT(dateFilteredData);
+    const metrics = MetricsCore.calculateEmployeeMetrics(employeeData, granularity, standardAHT);
+    const attainment = RulesCore.calculateAttainment(loadRulesConfig(), employeeData).employees[0];
+    const targetDays = new Map(attainment ? RulesCore.attainmentByPeriod(attainment.days, granularity).map(period => [period.date, period]) : []);
+
+    // The employee's team, TL group and the whole site over the same dates
+    const benchmarks = selectedEmpId !== 'none' ? MetricsCore.calculatePeerBenchmarks(dateFilteredData, selectedEmpId, granularity) : null;
+
+    // Anomalies need the team's rows for the team distribution, so detect site-wide
+    const anomalies = selectedEmpId !== 'none'
+        ? AnomalyCore.detectAnomalies(dateFilteredData).filter(anomaly => anomaly.empId === selectedEmpId)
+        : [];
+
+    // Same employee over the comparison period (null when not comparing)
+    const comparisonRange = resolveComparisonRange();
+    const comparison = comparisonRange ? {
+        ...comparisonRange,
+        currentStart: startDate,
+        metrics: MetricsCore.calculateEmployeeMetrics(
+            filterToEmployee(MetricsCore.filterByDateRange(rawData, comparisonRange.start, comparisonRange.end), selectedTL, selectedEmpId),
+            granularity, standardAHT)
+    } : null;
     
     // 4. Update Visuals
     
@@ -486,65 +650,79 @@ function renderDashboard() {
         dashboardTitle.innerHTML = '👤 Individual Employee Performance & Progress';
     }
 
-    updateKPIs(metrics);
-    renderPerformanceFeedback(metrics); // NEW: Performance Feedback
-    renderEmployeeTrends(metrics.dailyPerformance, metrics.employeeName);
-    renderEmployeeDailyTable(metrics.dailyPerformance, metrics.employeeName);
+    // Assignments across all TLs, so a move away from the selected TL shows too
+    const assignments = selectedEmpId !== 'none'
+        ? MetricsCore.employeeAssignments(filterToEmployee(dateFilteredData, 'all', selectedEmpId)).get(selectedEmpId) || []
+        : [];
+    renderEmployeeAssignments(assignments);
+
+    updateKPIs(metrics, attainment, comparison && comparison.metrics);
+    renderKPIBenchmarks(benchmarks);
+    renderPerformanceFeedback(metrics, employeeData);
+    const labels = GRANULARITY_LABELS[granularity];
+    document.getElementById('trendSectionTitle').textContent = `Employee ${labels.adjective} Trend`;
+    document.getElementById('dailyDetailsHeading').textContent = `${labels.adjective} Performance Details`;
+    renderEmployeeTrends(metrics.periodPerformance, metrics.employeeName, targetDays, comparison, benchmarks, anomalies, granularity);
+    renderEmployeeDailyTable(metrics.periodPerformance, metrics.employeeName, targetDays, granularity);
+
+    currentView = { metrics, attainment, assignments, comparison, granularity, dateFilteredData };
+
+    // Remember the filters (storage, URL and the TL dashboard link)
+    recordFilterState(getFilterState());
 }
 
 /**
- * Handles Excel file upload and conversion to JSON using SheetJS.
+ * Handles the data file upload: the shared importer (dashboard_common.js)
+ * reads the selected files/sheets, maps their columns onto the expected
+ * schema and adds them to the combined dataset.
  */
 function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            // 1. Read the workbook data as a binary string
-            const data = e.target.result;
-            // Use window.XLSX globally available from the CDN script
-            const workbook = XLSX.read(data, { type: 'binary' });
-
-            // 2. Assume the data is in the first sheet and get the worksheet
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            // 3. Convert the sheet to a JSON array (array of objects)
-            // header: 1 means interpret the first row as column headers
-            rawData = XLSX.utils.sheet_to_json(worksheet);
-
-            if (rawData.length === 0) {
-                 throw new Error("The Excel sheet is empty or has no recognizable data.");
-            }
-            
-            // 4. Setup filters and render dashboard
-            populateDateFilters(rawData);
-            populateTLFilter(rawData);
-            populateEmployeeFilter(rawData); 
-            
-            renderDashboard(); 
-
-        } catch (error) {
-            console.error("File processing error:", error);
-            // Custom console log message (replacing alert)
-            console.log('Error processing the file. Please ensure it is a valid Excel file (.xlsx or .xls) and the data is in the FIRST sheet with headers in the first row.');
-            rawData = []; 
-            renderDashboard(); 
-        }
-    };
-    
-    // Crucial: Read the file as a binary string for SheetJS
-    reader.readAsBinaryString(file);
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    importDataFiles(files)
+        .catch(error => {
+            console.error('Import error:', error);
+            setImportStatus(`Import failed: ${error.message}`, 'error');
+        })
+        .then(() => {
+            // Allow the same file to be selected again (e.g. after removing it)
+            event.target.value = '';
+        });
+}
+
+/**
+ * Receives the combined dataset whenever sources are loaded, removed or
+ * restored from storage (together with the stored filters).
+ */
+function applyDataset(rows, restoredFilters) {
+    rawData = rows;
+
+    // Setup filters and render dashboard
+    populateDateFilters(rawData);
+    populateTLFilter(rawData);
+    populateEmployeeFilter(rawData);
+    if (restoredFilters) applyFilterState(restoredFilters);
+
+    renderDashboard();
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+     onDatasetChanged(applyDataset);
+     initUrlState(filters => {
+         applyFilterState(filters);
+         renderDashboard();
+     });
+
      // Initial render with empty data
-     const emptyMetrics = calculateEmployeeMetrics([]);
+     const emptyMetrics = MetricsCore.calculateEmployeeMetrics([]);
      document.getElementById('dashboardTitle').innerHTML = '👤 Individual Employee Performance & Progress';
      updateKPIs(emptyMetrics);
      renderPerformanceFeedback(emptyMetrics);
-     renderEmployeeTrends(emptyMetrics.dailyPerformance, emptyMetrics.employeeName);
-     renderEmployeeDailyTable(emptyMetrics.dailyPerformance, emptyMetrics.employeeName);
+     renderEmployeeTrends(emptyMetrics.periodPerformance, emptyMetrics.employeeName);
+     renderEmployeeDailyTable(emptyMetrics.periodPerformance, emptyMetrics.employeeName);
+
+     // Reload the dataset and filters kept from the last visit (either dashboard);
+     // filters in the page URL take precedence
+     restoreStoredDataset();
 });
\ No newline at end of file
@@ -0,0 +1,682 @@
+/**
+ * Shared import core for the TL and Employee dashboards: the expected column
+ * schema, CSV / JSON parsing, header matching, column mapping, source labels,
+ * data-quality checks and duplicate / conflicting records within and across
+ * the loaded sources.
+ *
+ * Like metrics_core.js this file is DOM-free: in the browser it exposes
+ * `window.ImportCore`, under Node it can be `require()`d.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.ImportCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const MetricsCore = typeof module === 'object' && module.exports
+        ? require('./metrics_core.js')
+        : root.MetricsCore;
+
+    /**
+     * Columns the dashboards read, keyed by the header used in the report.
+     * `aliases` are alternative headers that are mapped automatically.
+     */
+    const SCHEMA = [
+        { key: 'Date', required: true, aliases: ['Work Date', 'Day'] },
+        { key: 'EMP ID', required: true, aliases: ['Employee ID', 'Emp Code', 'Employee Code'] },
+        { key: 'Employee Name', required: true, aliases: ['Name', 'Emp Name', 'Agent Name', 'Member Name'] },
+        { key: 'TL', required: true, aliases: ['Team Lead', 'Team Leader', 'TL Name'] },
+        { key: 'Team', required: true, aliases: ['Team No', 'Team Number'] },
+        { key: 'Shift', required: false, aliases: ['Shift Name'] },
+        { key: 'ID Used', required: false, aliases: ['Login ID', 'User ID'] },
+        { key: 'Total Notification', required: true, aliases: ['Notification', 'Notifications', 'Total Notifications', 'Notification Volume'] },
+        { key: 'Total Room Update', required: true, aliases: ['Room Update', 'Room Updates', 'Total Room Updates', 'Room Status Volume'] },
+        { key: 'Total Zone Update', required: true, aliases: ['Zone Update', 'Zone Updates', 'Total Zone Updates', 'Zone Events Volume'] },
+        { key: 'AHT - Notification', required: true, aliases: ['Notification AHT', 'AHT Notification', 'AHT Notif'] },
+        { key: 'AHT - Room Status', required: true, aliases: ['Room Status AHT', 'AHT Room Status', 'AHT Room'] },
+        { key: 'AHT - Zone Events', required: true, aliases: ['Zone Events AHT', 'Zone Event AHT', 'AHT Zone Events', 'AHT Zone'] },
+    ];
+
+    // Sheet row number attached to each imported row (header row is row 1)
+    const ROW_NUMBER_KEY = '__rowNumber';
+
+    // Label of the file / sheet a row was loaded from
+    const SOURCE_KEY = '__source';
+
+    // Keys starting with '__' carry import metadata, not report columns
+    function isMetadataKey(key) {
+        return key.startsWith('__');
+    }
+
+    // Lower-cases a header and strips everything but letters and digits
+    function normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Collects the union of column headers over all rows (SheetJS omits empty
+     * cells, so a single row may not carry every header).
+     */
+    function collectHeaders(rows) {
+        const headers = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (!isMetadataKey(key)) headers.add(key);
+        }));
+        return Array.from(headers);
+    }
+
+    /**
+     * Matches source headers against the schema.
+     * Saved mappings win, then exact header matches, then normalized header /
+     * alias matches.
+     * @param {Array<string>} headers - Headers found in the uploaded data.
+     * @param {Object} [saved] - Previously confirmed mapping: { mapping: { schemaKey: header }, ignored: [header] }.
+     * @returns {Object} { mapping, missing, unrecognized } where `missing` lists
+     *   required schema keys without a header and `unrecognized` lists headers
+     *   that are neither mapped nor previously ignored.
+     */
+    function matchHeaders(headers, saved) {
+        const savedMapping = (saved && saved.mapping) || {};
+        const ignored = new Set((saved && saved.ignored) || []);
+        const available = new Set(headers);
+        const mapping = {};
+
+        const claim = (key, header) => {
+            mapping[key] = header;
+            available.delete(header);
+        };
+
+        SCHEMA.forEach(field => {
+            if (savedMapping[field.key] && available.has(savedMapping[field.key])) {
+                claim(field.key, savedMapping[field.key]);
+            }
+        });
+        SCHEMA.forEach(field => {
+            if (!mapping[field.key] && available.has(field.key)) claim(field.key, field.key);
+        });
+        SCHEMA.forEach(field => {
+            if (mapping[field.key]) return;
+            const candidates = [field.key, ...field.aliases].map(normalizeHeader);
+            const match = Array.from(available).find(header => candidates.includes(normalizeHeader(header)));
+            if (match !== undefined) claim(field.key, match);
+        });
+
+        return {
+            mapping,
+            missing: SCHEMA.filter(field => field.required && !mapping[field.key]).map(field => field.key),
+            unrecognized: Array.from(available).filter(header => !ignored.has(header))
+        };
+    }
+
+    /**
+     * Returns the required schema keys that a mapping leaves unmapped.
+     */
+    function missingRequiredFields(mapping) {
+        return SCHEMA.filter(field => field.required && !mapping[field.key]).map(field => field.key);
+    }
+
+    /**
+     * Renames the columns of every row from the source headers to the schema
+     * keys. Columns that are not part of the mapping are kept unchanged.
+     * @param {Array} rows - Rows keyed by the source headers.
+     * @param {Object} mapping - { schemaKey: sourceHeader }.
+     * @returns {Array} New rows keyed by the schema keys.
+     */
+    function applyColumnMapping(rows, mapping) {
+        const mappedHeaders = new Set(Object.values(mapping));
+        return rows.map(row => {
+            const result = {};
+            Object.keys(row).forEach(header => {
+                if (!mappedHeaders.has(header)) result[header] = row[header];
+            });
+            Object.keys(mapping).forEach(key => {
+                if (row[mapping[key]] !== undefined) result[key] = row[mapping[key]];
+            });
+            return result;
+        });
+    }
+
+    // --- CSV / JSON PARSING ---
+
+    const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+    /**
+     * Decodes raw file bytes to text. A byte-order mark decides the encoding;
+     * otherwise UTF-8 is tried first and Windows-1252 (Excel's usual "ANSI"
+     * export) is used when the bytes are not valid UTF-8.
+     * @param {Uint8Array} bytes
+     * @returns {{text: string, encoding: string}}
+     */
+    function decodeText(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+        }
+    }
+
+    /**
+     * Splits CSV text into records of fields (RFC 4180: quoted fields may
+     * contain delimiters, doubled quotes and line breaks).
+     * @returns {Array<Array<string>>}
+     */
+    function parseCSV(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * Picks the delimiter that splits the first lines into the same, largest
+     * number of fields.
+     */
+    function detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20).join('\n');
+        let best = { delimiter: ',', score: -1 };
+
+        CSV_DELIMITERS.forEach(delimiter => {
+            const counts = parseCSV(sample, delimiter).map(record => record.length);
+            if (counts.length === 0 || counts[0] < 2) return;
+            const consistent = counts.filter(count => count === counts[0]).length;
+            const score = consistent * 1000 + counts[0];
+            if (score > best.score) best = { delimiter, score };
+        });
+        return best.delimiter;
+    }
+
+    /**
+     * Parses CSV text into row objects keyed by the header line. Empty cells
+     * are left out, like SheetJS does for Excel rows.
+     * @param {string} text
+     * @param {string} [delimiter] - Detected when omitted.
+     * @returns {{headers: Array<string>, rows: Array, delimiter: string}}
+     */
+    function csvToRows(text, delimiter) {
+        const usedDelimiter = delimiter || detectDelimiter(text);
+        const records = parseCSV(text, usedDelimiter);
+        const headers = (records[0] || []).map(header => header.trim());
+        const rows = [];
+
+        records.slice(1).forEach((record, index) => {
+            if (record.every(value => value.trim() === '')) return;
+            const row = { [ROW_NUMBER_KEY]: index + 2 };
+            headers.forEach((header, column) => {
+                const value = record[column] === undefined ? '' : record[column].trim();
+                if (header && value !== '') row[header] = value;
+            });
+            rows.push(row);
+        });
+
+        return { headers: headers.filter(header => header !== ''), rows, delimiter: usedDelimiter };
+    }
+
+    /**
+     * Parses a JSON array of row objects (e.g. a WFM or pandas "records" export).
+     * @returns {{headers: Array<string>, rows: Array}}
+     */
+    function jsonToRows(text) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data) || data.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new Error('JSON data must be an array of row objects');
+        }
+        const rows = data.map((item, index) => ({ [ROW_NUMBER_KEY]: index + 1, ...item }));
+        return { headers: collectHeaders(rows), rows };
+    }
+
+    // --- SOURCES ---
+
+    // Display label for a loaded file / sheet
+    function sourceLabel(fileName, sheetName) {
+        return sheetName ? `${fileName} › ${sheetName}` : fileName;
+    }
+
+    // --- DATA QUALITY ---
+
+    const VOLUME_FIELDS = ['Total Notification', 'Total Room Update', 'Total Zone Update'];
+    const AHT_FIELDS = ['AHT - Notification', 'AHT - Room Status', 'AHT - Zone Events'];
+
+    const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+    /**
+     * Data-quality checks run on every imported row. Each check returns a
+     * description of the problem, or null if the row passes.
+     */
+    const QUALITY_CHECKS = [
+        {
+            type: 'invalidDate',
+            label: 'Invalid or missing date',
+            effect: 'Row is excluded from every view.',
+            check: row => {
+                const date = MetricsCore.parseDate(row['Date']);
+                return date && !isNaN(date) ? null : `Date "${isBlank(row['Date']) ? '' : row['Date']}" is not DD/MM/YYYY`;
+            }
+        },
+        {
+            type: 'invalidEmpId',
+            label: 'Missing or #N/A EMP ID',
+            effect: 'Volume is counted as unassigned and left out of employee metrics.',
+            check: row => (MetricsCore.isValidEmpId(row['EMP ID']) ? null : `EMP ID "${isBlank(row['EMP ID']) ? '' : row['EMP ID']}"`)
+        },
+        {
+            type: 'nonNumericVolume',
+            label: 'Non-numeric volume',
+            effect: 'Value is coerced (e.g. "1,200" reads as 1, text as 0).',
+            check: row => {
+                const bad = VOLUME_FIELDS.filter(field => !isBlank(row[field]) && !isFinite(Number(String(row[field]).trim())));
+                return bad.length > 0 ? bad.map(field => `${field} "${row[field]}"`).join(', ') : null;
+            }
+        },
+        {
+            type: 'negativeAHT',
+            label: 'Negative AHT',
+            effect: 'Negative handle time is included in the weighted AHT.',
+            check: row => {
+                const bad = AHT_FIELDS.filter(field => parseFloat(row[field]) < 0);
+                return bad.length > 0 ? bad.map(field => `${field} ${row[field]}`).join(', ') : null;
+            }
+        },
+        {
+            type: 'missingTLTeam',
+            label: 'Missing TL or Team',
+            effect: 'Row is left out of the TL/team breakdowns.',
+            check: row => {
+                const normalized = MetricsCore.normalizeRow(row);
+                const missing = [];
+                if (!normalized.tl) missing.push('TL');
+                if (!normalized.team) missing.push('Team');
+                return missing.length > 0 ? `No ${missing.join(' / ')}` : null;
+            }
+        },
+    ];
+
+    /**
+     * Runs the data-quality checks over imported rows.
+     * @param {Array} rows - Rows keyed by the schema columns.
+     * @returns {Object} { totalRows, badRowCount, issues: [{ type, label, effect, rows, volume }] }
+     *   where `rows` holds { rowNumber, source, row, detail } for each offending row and
+     *   `volume` is the total task volume on those rows.
+     */
+    function buildQualityReport(rows) {
+        const issues = QUALITY_CHECKS.map(({ type, label, effect }) => ({ type, label, effect, rows: [], volume: 0 }));
+        const badRows = new Set();
+
+        rows.forEach((row, index) => {
+            const rowNumber = row[ROW_NUMBER_KEY] || index + 2;
+            const source = row[SOURCE_KEY] || '';
+            QUALITY_CHECKS.forEach((qualityCheck, i) => {
+                const detail = qualityCheck.check(row);
+                if (!detail) return;
+                issues[i].rows.push({ rowNumber, source, row, detail });
+                issues[i].volume += MetricsCore.normalizeRow(row).totalVolume;
+                badRows.add(row);
+            });
+        });
+
+        return { totalRows: rows.length, badRowCount: badRows.size, issues };
+    }
+
+    // Quotes a CSV field when it contains a delimiter, quote or line break
+    function csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serializes rows to CSV text.
+     * @param {Array} rows - Row objects.
+     * @param {Array<string>} columns - Column order (also the header line).
+     */
+    function toCSV(rows, columns) {
+        const lines = [columns.map(csvField).join(',')];
+        rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(',')));
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Builds a CSV of every row that failed a data-quality check, one line per
+     * row with its source, sheet row number and all problems found on it.
+     */
+    function qualityReportToCSV(report) {
+        const byRow = new Map();
+        report.issues.forEach(issue => {
+            issue.rows.forEach(({ rowNumber, source, row, detail }) => {
+                const entry = byRow.get(row) || { rowNumber, source, row, problems: [] };
+                entry.problems.push(`${issue.label}: ${detail}`);
+                byRow.set(row, entry);
+            });
+        });
+
+        const entries = Array.from(byRow.values())
+            .sort((a, b) => a.source.localeCompare(b.source) || a.rowNumber - b.rowNumber);
+        const dataColumns = collectHeaders(entries.map(entry => entry.row));
+        const columns = ['Source', 'Sheet Row', 'Problems', ...dataColumns];
+        const rows = entries.map(entry => ({
+            ...entry.row,
+            'Source': entry.source,
+            'Sheet Row': entry.rowNumber,
+            'Problems': entry.problems.join('; ')
+        }));
+        return toCSV(rows, columns);
+    }
+
+    // --- DUPLICATES & CONFLICTS ---
+
+    /**
+     * Kinds of duplicate / conflicting records, in the order they are resolved
+     * (merging names or IDs can create new EMP ID + Date duplicates). Each
+     * conflict is a list of row groups in load order; the resolutions are:
+     * - merge: sourceDuplicates and duplicateRows become one row (volumes
+     *   summed, AHTs volume-weighted), idWithNames take the first name,
+     *   nameWithIds the first EMP ID;
+     * - keepFirst: only the first group's rows are kept;
+     * - keepNewest: only the last group's rows (those of the most recently
+     *   loaded source) are kept;
+     * - exclude: every row of the conflict is dropped;
+     * - none: the rows are left as they are.
+     * The resolution is chosen per conflict (see resolveConflicts).
+     */
+    const CONFLICT_TYPES = [
+        {
+            type: 'idWithNames',
+            label: 'Same EMP ID with different names',
+            resolutions: {
+                none: 'Leave as is',
+                merge: 'Merge: use the first name on every row',
+                keepFirst: 'Keep only the rows with the first name',
+                exclude: 'Exclude every row of the EMP ID'
+            }
+        },
+        {
+            type: 'nameWithIds',
+            label: 'Same name with different EMP IDs',
+            resolutions: {
+                none: 'Leave as is',
+                merge: 'Merge: use the first EMP ID on every row',
+                keepFirst: 'Keep only the rows with the first EMP ID',
+                exclude: 'Exclude every row of the name'
+            }
+        },
+        {
+            type: 'sourceDuplicates',
+            label: 'Same EMP ID and Date in several sources',
+            resolutions: {
+                keepNewest: 'Keep the rows from the newest source',
+                merge: 'Merge into one row (volumes summed, AHTs volume-weighted)',
+                keepFirst: 'Keep the rows from the first source',
+                exclude: 'Exclude every row of the EMP ID and Date',
+                none: 'Leave as is (count every source)'
+            }
+        },
+        {
+            type: 'duplicateRows',
+            label: 'Duplicate EMP ID and Date rows in one source',
+            resolutions: {
+                none: 'Leave as is',
+                merge: 'Merge into one row (volumes summed, AHTs volume-weighted)',
+                keepFirst: 'Keep the first row',
+                exclude: 'Exclude every row of the EMP ID and Date'
+            }
+        },
+    ];
+
+    // Resolution of the conflicts nobody has chosen one for yet
+    const DEFAULT_CONFLICT_ACTIONS = { idWithNames: 'none', nameWithIds: 'none', sourceDuplicates: 'keepNewest', duplicateRows: 'none' };
+
+    // Trimmed EMP ID of a row, or null when it is missing / #N/A
+    function empIdOf(row) {
+        const empId = isBlank(row['EMP ID']) ? '' : String(row['EMP ID']).trim();
+        return MetricsCore.isValidEmpId(empId) ? empId : null;
+    }
+
+    // "EMP ID|Date" of a row, or null when either is missing
+    function duplicateKey(row) {
+        const empId = empIdOf(row);
+        return empId === null || isBlank(row['Date']) ? null : `${empId}|${String(row['Date']).trim()}`;
+    }
+
+    // Name compared case- and spacing-insensitively
+    function nameKey(row) {
+        return isBlank(row['Employee Name']) ? null : String(row['Employee Name']).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Groups rows by a key, then the rows of each key by a variant.
+     * @returns {Array} [{ id, key, groups: [{ variant, rows }] }] for the keys
+     *   with more than one variant, groups in first-seen order. `id` (the key
+     *   and its variants) identifies the conflict across uploads.
+     */
+    function conflictingGroups(rows, keyFn, variantFn) {
+        const byKey = new Map();
+        rows.forEach(row => {
+            const key = keyFn(row);
+            const variant = key === null ? null : variantFn(row);
+            if (variant === null) return;
+            if (!byKey.has(key)) byKey.set(key, new Map());
+            const variants = byKey.get(key);
+            if (!variants.has(variant)) variants.set(variant, []);
+            variants.get(variant).push(row);
+        });
+        return Array.from(byKey.entries())
+            .filter(([, variants]) => variants.size > 1)
+            .map(([key, variants]) => ({
+                id: [key, ...variants.keys()].join('|'),
+                key,
+                groups: Array.from(variants.entries()).map(([variant, groupRows]) => ({ variant, rows: groupRows }))
+            }));
+    }
+
+    // Conflicts of one type: [{ id, key, description, labels, groups: [{ variant, rows }] }],
+    // where `labels` names each group (e.g. the name or EMP ID it uses)
+    const CONFLICT_DETECTORS = {
+        idWithNames: rows => conflictingGroups(rows, empIdOf, nameKey).map(conflict => {
+            const labels = conflict.groups.map(group => String(group.rows[0]['Employee Name']).trim());
+            return { ...conflict, labels, description: `EMP ID ${conflict.key}: ${labels.join(' / ')}` };
+        }),
+        nameWithIds: rows => conflictingGroups(rows, nameKey, empIdOf).map(conflict => ({
+            ...conflict,
+            labels: conflict.groups.map(group => `EMP ID ${group.variant}`),
+            description: `${String(conflict.groups[0].rows[0]['Employee Name']).trim()}: EMP IDs ${conflict.groups.map(group => group.variant).join(' / ')}`
+        })),
+        sourceDuplicates: rows => conflictingGroups(rows, duplicateKey, row => row[SOURCE_KEY] || '').map(conflict => {
+            const labels = conflict.groups.map(group => group.variant || 'unnamed source');
+            return { ...conflict, labels, description: `EMP ID ${conflict.key.replace('|', ' on ')}: ${labels.join(' / ')}` };
+        }),
+        duplicateRows: rows => {
+            const byKey = new Map();
+            rows.forEach(row => {
+                const key = duplicateKey(row);
+                if (key === null) return;
+                const sourceKey = `${key}|${row[SOURCE_KEY] || ''}`;
+                if (!byKey.has(sourceKey)) byKey.set(sourceKey, []);
+                byKey.get(sourceKey).push(row);
+            });
+            return Array.from(byKey.entries())
+                .filter(([, keyRows]) => keyRows.length > 1)
+                .map(([key, keyRows]) => {
+                    const source = keyRows[0][SOURCE_KEY];
+                    return {
+                        id: key,
+                        key,
+                        labels: keyRows.map((row, index) => `row ${row[ROW_NUMBER_KEY] || index + 1}`),
+                        description: `EMP ID ${duplicateKey(keyRows[0]).replace('|', ' on ')}${source ? ` in ${source}` : ''}: ${keyRows.length} rows`,
+                        groups: keyRows.map(row => ({ variant: row, rows: [row] }))
+                    };
+                });
+        }
+    };
+
+    /**
+     * Finds EMP IDs with several names, names with several EMP IDs and
+     * duplicate (EMP ID, Date) rows across sources and inside one source.
+     * @param {Array} rows - Combined dataset rows.
+     * @returns {Object} { idWithNames, nameWithIds, sourceDuplicates, duplicateRows, total } with
+     *   one [{ id, key, description, labels, groups }] list per CONFLICT_TYPES type.
+     */
+    function detectConflicts(rows) {
+        const conflicts = { total: 0 };
+        CONFLICT_TYPES.forEach(({ type }) => {
+            conflicts[type] = CONFLICT_DETECTORS[type](rows);
+            conflicts.total += conflicts[type].length;
+        });
+        return conflicts;
+    }
+
+    /**
+     * Merges rows of the same EMP ID and Date into one: the first row with the
+     * task volumes summed and each task's AHT weighted by its volume.
+     */
+    function mergeRows(rows) {
+        const merged = { ...rows[0] };
+        MetricsCore.TASK_TYPES.forEach(task => {
+            let volume = 0;
+            let weightedTime = 0;
+            rows.forEach(row => {
+                const rowVolume = parseInt(row[task.volumeField]) || 0;
+                volume += rowVolume;
+                weightedTime += rowVolume * (parseFloat(row[task.ahtField]) || 0);
+            });
+            merged[task.volumeField] = volume;
+            merged[task.ahtField] = volume > 0 ? weightedTime / volume : parseFloat(rows[0][task.ahtField]) || 0;
+        });
+        return merged;
+    }
+
+    /**
+     * Label of the group a resolution keeps the values of (the name or EMP ID
+     * merged to, or the rows / source kept), or null when it keeps none or all.
+     */
+    function keptLabel(type, conflict, action) {
+        if (action === 'keepNewest') return conflict.labels[conflict.labels.length - 1];
+        if (action === 'keepFirst') return conflict.labels[0];
+        if (action === 'merge' && (type === 'idWithNames' || type === 'nameWithIds')) return conflict.labels[0];
+        return null;
+    }
+
+    /**
+     * Applies the chosen resolution of every conflict, type by type in
+     * CONFLICT_TYPES order (so each type is detected on the rows the earlier
+     * types left). Source rows are not modified.
+     * @param {Array} rows - Combined dataset rows.
+     * @param {Object} resolution - { type: { conflictId: action } } with the action
+     *   ('none', 'merge', 'keepFirst', 'keepNewest' or 'exclude') chosen per
+     *   conflict; other conflicts get DEFAULT_CONFLICT_ACTIONS.
+     * @returns {Object} { rows, conflicts, resolved, removed } - the resolved rows;
+     *   the conflicts found per type (as detectConflicts, each with its `action`
+     *   and `kept` label, see keptLabel); the number of conflicts resolved and how
+     *   many rows fewer there are.
+     */
+    function resolveConflicts(rows, resolution) {
+        let result = rows;
+        let resolved = 0;
+        const conflicts = { total: 0 };
+
+        CONFLICT_TYPES.forEach(({ type, resolutions }) => {
+            const chosen = (resolution || {})[type] || {};
+            conflicts[type] = CONFLICT_DETECTORS[type](result).map(conflict => {
+                const action = resolutions[chosen[conflict.id]] ? chosen[conflict.id] : DEFAULT_CONFLICT_ACTIONS[type];
+                return { ...conflict, action, kept: keptLabel(type, conflict, action) };
+            });
+            conflicts.total += conflicts[type].length;
+
+            // Row -> its replacement (null drops it)
+            const replacements = new Map();
+            conflicts[type].forEach(({ groups, action }) => {
+                if (action === 'none') return;
+                resolved += 1;
+                const first = groups[0].rows[0];
+                groups.forEach((group, index) => group.rows.forEach(row => {
+                    if (action === 'exclude' || (action === 'keepFirst' && index > 0) || (action === 'keepNewest' && index < groups.length - 1)) {
+                        replacements.set(row, null);
+                    } else if (action === 'merge' && type === 'idWithNames') {
+                        replacements.set(row, { ...row, 'Employee Name': first['Employee Name'] });
+                    } else if (action === 'merge' && type === 'nameWithIds') {
+                        replacements.set(row, { ...row, 'EMP ID': first['EMP ID'] });
+                    }
+                }));
+                if (action === 'merge' && (type === 'sourceDuplicates' || type === 'duplicateRows')) {
+                    const allRows = groups.flatMap(group => group.rows);
+                    allRows.forEach(row => replacements.set(row, null));
+                    replacements.set(first, mergeRows(allRows));
+                }
+            });
+
+            if (replacements.size === 0) return;
+            result = result
+                .map(row => (replacements.has(row) ? replacements.get(row) : row))
+                .filter(row => row !== null);
+        });
+
+        return { rows: result, conflicts, resolved, removed: rows.length - result.length };
+    }
+
+    return {
+        SCHEMA,
+        ROW_NUMBER_KEY,
+        SOURCE_KEY,
+        isMetadataKey,
+        normalizeHeader,
+        collectHeaders,
+        matchHeaders,
+        missingRequiredFields,
+        applyColumnMapping,
+        decodeText,
+        parseCSV,
+        detectDelimiter,
+        csvToRows,
+        jsonToRows,
+        sourceLabel,
+        buildQualityReport,
+        toCSV,
+        qualityReportToCSV,
+        CONFLICT_TYPES,
+        DEFAULT_CONFLICT_ACTIONS,
+        detectConflicts,
+        keptLabel,
+        resolveConflicts
+    };
+}));
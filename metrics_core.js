@@ -0,0 +1,1011 @@
+/**
+ * Shared metrics core for the TL and Employee dashboards.
+ *
+ * This file is DOM-free: in the browser it is loaded with a plain <script> tag
+ * and exposes `window.MetricsCore`; under Node it can be `require()`d so the
+ * numbers reported by both dashboards can be unit-tested.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MetricsCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Task types reported in the source data, with the columns that hold their
+     * volume and AHT and the prefix used for the aggregated field names
+     * (e.g. `notifVolume`, `notifWeightedTime`, `notifAHT`).
+     */
+    const TASK_TYPES = [
+        { key: 'Notification', prefix: 'notif', volumeField: 'Total Notification', ahtField: 'AHT - Notification' },
+        { key: 'Room Status', prefix: 'room', volumeField: 'Total Room Update', ahtField: 'AHT - Room Status' },
+        { key: 'Zone Events', prefix: 'zone', volumeField: 'Total Zone Update', ahtField: 'AHT - Zone Events' },
+    ];
+
+    // --- PARSING HELPERS ---
+
+    /**
+     * Safely parses a date string in DD/MM/YYYY format.
+     * @param {string} dateString - The date string to parse (e.g., "01/11/2025").
+     * @returns {Date | null} A Date object or null if parsing fails.
+     */
+    function parseDate(dateString) {
+        // Invalid dates are listed in the import data-quality report
+        if (typeof dateString !== 'string' || dateString.trim() === '') {
+            return null;
+        }
+
+        const parts = dateString.split('/');
+        if (parts.length === 3) {
+            const day = parseInt(parts[0], 10);
+            const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
+            const year = parseInt(parts[2], 10);
+
+            if (!isNaN(day) && !isNaN(month) && !isNaN(year)) {
+                return new Date(year, month, day);
+            }
+        }
+        return null;
+    }
+
+    // Formats a Date object into "YYYY-MM-DD" for date input fields
+    function formatDateForInput(date) {
+        if (!date) return '';
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    // Parses a "YYYY-MM-DD" date input value as a local date (null if empty/invalid)
+    function parseInputDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    /**
+     * Returns true if the EMP ID identifies a real employee
+     * (i.e. it is not empty, '#N/A' or 'N/A').
+     */
+    function isValidEmpId(empId) {
+        const id = empId === undefined || empId === null ? '' : String(empId).trim();
+        return id !== '' && id.toUpperCase() !== '#N/A' && id.toUpperCase() !== 'N/A';
+    }
+
+    // Team values of 'N/A' / 'null' are treated the same as a missing team
+    function normalizeTeam(team) {
+        const teamStr = team === undefined || team === null ? '' : String(team).trim();
+        return teamStr === 'N/A' || teamStr === 'null' ? '' : teamStr;
+    }
+
+    /**
+     * Converts a raw data row (keyed by the report's column headers) into the
+     * shape used by every aggregation below.
+     * @param {Object} item - A row as produced by the importer.
+     * @returns {Object} The normalized row.
+     */
+    function normalizeRow(item) {
+        const empId = item['EMP ID'] === undefined || item['EMP ID'] === null ? '' : String(item['EMP ID']).trim();
+        const volumes = {};
+        const aht = {};
+        let totalVolume = 0;
+        let weightedTime = 0;
+
+        TASK_TYPES.forEach(task => {
+            const volume = parseInt(item[task.volumeField]) || 0;
+            const taskAHT = parseFloat(item[task.ahtField]) || 0;
+            volumes[task.key] = volume;
+            aht[task.key] = taskAHT;
+            totalVolume += volume;
+            weightedTime += volume * taskAHT;
+        });
+
+        return {
+            date: item['Date'],
+            empId,
+            hasEmpId: isValidEmpId(empId),
+            employeeName: item['Employee Name'] ? String(item['Employee Name']).trim() : '',
+            tl: item['TL'] ? String(item['TL']).trim() : '',
+            team: normalizeTeam(item['Team']),
+            shift: item['Shift'] ? String(item['Shift']).trim() : '',
+            volumes,
+            aht,
+            totalVolume,
+            weightedTime,
+        };
+    }
+
+    // --- FILTERS ---
+
+    /**
+     * Keeps the rows of one shift. Rows without a shift belong to 'N/A', as in
+     * the shift breakdown.
+     */
+    function filterByShift(data, shift) {
+        return data.filter(item => (normalizeRow(item).shift || 'N/A') === shift);
+    }
+
+    /**
+     * Narrows rows down to a single task type: the volume and AHT columns of
+     * the other task types are zeroed, so every total and AHT computed from
+     * the result only covers that task.
+     * @param {Array} data - Raw data rows.
+     * @param {string} taskKey - A TASK_TYPES key, e.g. 'Room Status'.
+     * @returns {Array} Copies of the rows.
+     */
+    function restrictToTaskType(data, taskKey) {
+        const otherTasks = TASK_TYPES.filter(task => task.key !== taskKey);
+        return data.map(item => {
+            const row = { ...item };
+            otherTasks.forEach(task => {
+                row[task.volumeField] = 0;
+                row[task.ahtField] = 0;
+            });
+            return row;
+        });
+    }
+
+    // --- DATE RANGES ---
+
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    // Whole calendar days from `from` to `to` (DST-safe)
+    function daysBetween(from, to) {
+        return Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate())
+            - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000);
+    }
+
+    // Same day one month earlier, clamped to the end of shorter months (31 Mar -> 28/29 Feb)
+    function subtractMonth(date) {
+        const lastDayOfPreviousMonth = new Date(date.getFullYear(), date.getMonth(), 0).getDate();
+        return new Date(date.getFullYear(), date.getMonth() - 1, Math.min(date.getDate(), lastDayOfPreviousMonth));
+    }
+
+    /**
+     * Keeps the rows whose Date lies within [start, end] (whole days; either
+     * bound may be null). Rows without a valid date are dropped.
+     */
+    function filterByDateRange(data, start, end) {
+        const from = start ? startOfDay(start) : null;
+        const to = end ? startOfDay(end) : null;
+        return data.filter(item => {
+            const date = parseDate(item['Date']);
+            if (!date || isNaN(date)) return false;
+            return (!from || date >= from) && (!to || date <= to);
+        });
+    }
+
+    /**
+     * Works out the date range to compare a period against.
+     * @param {Date} start - Start of the current period.
+     * @param {Date} end - End of the current period.
+     * @param {string} mode - 'previous' (the equally long period just before),
+     *   'lastMonth' (the same dates one month earlier) or 'custom'.
+     * @param {Date} [customStart] - Range used in 'custom' mode.
+     * @param {Date} [customEnd]
+     * @returns {{start: Date, end: Date}|null} Null when the range can't be determined.
+     */
+    function comparisonRange(start, end, mode, customStart, customEnd) {
+        if (mode === 'custom') {
+            return customStart && customEnd && customStart <= customEnd ? { start: customStart, end: customEnd } : null;
+        }
+        if (!start || !end || start > end) return null;
+        if (mode === 'previous') {
+            const length = daysBetween(start, end) + 1;
+            return { start: addDays(start, -length), end: addDays(start, -1) };
+        }
+        if (mode === 'lastMonth') {
+            return { start: subtractMonth(start), end: subtractMonth(end) };
+        }
+        return null;
+    }
+
+    /**
+     * Change from a comparison value, in percent (null when there is nothing
+     * to compare against).
+     */
+    function percentChange(current, previous) {
+        const base = Number(previous);
+        return base ? ((Number(current) - base) / Math.abs(base)) * 100 : null;
+    }
+
+    // --- TIME PERIODS ---
+
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /**
+     * ISO 8601 week of a date: weeks start on Monday and week 1 holds the
+     * year's first Thursday.
+     * @returns {{year: number, week: number}}
+     */
+    function isoWeek(date) {
+        const thursday = addDays(date, 3 - ((date.getDay() + 6) % 7));
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        const week = 1 + Math.round((daysBetween(firstThursday, thursday) - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+        return { year: thursday.getFullYear(), week };
+    }
+
+    /**
+     * The period (day, ISO week or month) a date falls in.
+     * @param {Date} date
+     * @param {string} granularity - 'day', 'week' or 'month'.
+     * @returns {{key: string, label: string, start: Date, end: Date}} `key` sorts chronologically.
+     */
+    function periodOf(date, granularity) {
+        if (granularity === 'week') {
+            const start = addDays(date, -((date.getDay() + 6) % 7));
+            const { year, week } = isoWeek(date);
+            const key = `${year}-W${String(week).padStart(2, '0')}`;
+            return { key, label: key, start, end: addDays(start, 6) };
+        }
+        if (granularity === 'month') {
+            const start = new Date(date.getFullYear(), date.getMonth(), 1);
+            return {
+                key: formatDateForInput(start).slice(0, 7),
+                label: `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`,
+                start,
+                end: new Date(date.getFullYear(), date.getMonth() + 1, 0)
+            };
+        }
+        const start = startOfDay(date);
+        const day = String(start.getDate()).padStart(2, '0');
+        const month = String(start.getMonth() + 1).padStart(2, '0');
+        return { key: formatDateForInput(start), label: `${day}/${month}/${start.getFullYear()}`, start, end: start };
+    }
+
+    /**
+     * Number of periods (days, ISO weeks or months) from the period of `start`
+     * to the period of `date`; negative when `date` falls before it.
+     * @param {Date} start
+     * @param {Date} date
+     * @param {string} granularity - 'day', 'week' or 'month'.
+     * @returns {number}
+     */
+    function periodOffset(start, date, granularity) {
+        if (granularity === 'week') {
+            return Math.round(daysBetween(periodOf(start, 'week').start, periodOf(date, 'week').start) / 7);
+        }
+        if (granularity === 'month') {
+            return (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+        }
+        return daysBetween(start, date);
+    }
+
+    /**
+     * Aggregates rows per period, optionally split into series (e.g. per TL).
+     * @param {Array} data - Raw data rows.
+     * @param {string} granularity - 'day', 'week' or 'month'.
+     * @param {Function} [seriesFn] - (normalizedRow) => series name, or null to
+     *   skip the row; without it every row goes into one 'All' series.
+     * @returns {Object} { periods: [{ key, label, start, end }] in date order,
+     *   series: [{ name, points: Map(periodKey -> finalized accumulator) }] by name }.
+     */
+    function aggregateByPeriod(data, granularity, seriesFn) {
+        const periods = new Map();
+        const series = new Map();
+        data.forEach(item => {
+            const row = normalizeRow(item);
+            const date = parseDate(row.date);
+            if (!date || isNaN(date)) return;
+            const name = seriesFn ? seriesFn(row) : 'All';
+            if (name === null || name === undefined) return;
+
+            const period = periodOf(date, granularity);
+            if (!periods.has(period.key)) periods.set(period.key, period);
+            if (!series.has(name)) series.set(name, new Map());
+            const points = series.get(name);
+            if (!points.has(period.key)) points.set(period.key, createAccumulator());
+            accumulate(points.get(period.key), row);
+        });
+
+        return {
+            periods: Array.from(periods.values()).sort((a, b) => a.start - b.start),
+            series: Array.from(series.entries())
+                .sort((a, b) => String(a[0]).localeCompare(String(b[0]), undefined, { numeric: true }))
+                .map(([name, points]) => {
+                    const finalized = new Map();
+                    points.forEach((acc, key) => finalized.set(key, finalizeAccumulator(acc)));
+                    return { name, points: finalized };
+                })
+        };
+    }
+
+    // --- WEIGHTED AHT ---
+
+    // Volume-weighted AHT; 0 when there is no volume to weight by
+    function weightedAHT(weightedTime, volume) {
+        return volume > 0 ? weightedTime / volume : 0;
+    }
+
+    function formatAHT(value) {
+        return (Number(value) || 0).toFixed(2);
+    }
+
+    /**
+     * Creates an empty accumulator for volumes, weighted handle time and the
+     * per-row AHT sums needed for a simple (unweighted) mean.
+     */
+    function createAccumulator() {
+        const acc = { totalVolume: 0, weightedTime: 0, rowCount: 0 };
+        TASK_TYPES.forEach(task => {
+            acc[`${task.prefix}Volume`] = 0;
+            acc[`${task.prefix}WeightedTime`] = 0;
+            acc[`${task.prefix}AHTSum`] = 0;
+        });
+        return acc;
+    }
+
+    // Adds one normalized row to an accumulator
+    function accumulate(acc, row) {
+        acc.totalVolume += row.totalVolume;
+        acc.weightedTime += row.weightedTime;
+        acc.rowCount += 1;
+        TASK_TYPES.forEach(task => {
+            acc[`${task.prefix}Volume`] += row.volumes[task.key];
+            acc[`${task.prefix}WeightedTime`] += row.volumes[task.key] * row.aht[task.key];
+            acc[`${task.prefix}AHTSum`] += row.aht[task.key];
+        });
+        return acc;
+    }
+
+    /**
+     * Volume-weighted AHT per task type for an accumulator.
+     * @returns {Object} e.g. { 'Notification': 21.4, 'Room Status': 8.1, 'Zone Events': 40.2 }
+     */
+    function ahtByTask(acc) {
+        const result = {};
+        TASK_TYPES.forEach(task => {
+            result[task.key] = weightedAHT(acc[`${task.prefix}WeightedTime`], acc[`${task.prefix}Volume`]);
+        });
+        return result;
+    }
+
+    /**
+     * Simple mean of the per-row AHT values per task type (every row counts
+     * once, whatever its volume).
+     */
+    function simpleAHTByTask(acc) {
+        const result = {};
+        TASK_TYPES.forEach(task => {
+            result[task.key] = acc.rowCount > 0 ? acc[`${task.prefix}AHTSum`] / acc.rowCount : 0;
+        });
+        return result;
+    }
+
+    /**
+     * Adds the formatted AHT fields (`overallAHT`, `notifAHT`, `roomAHT`,
+     * `zoneAHT`) used by the tables to an accumulator.
+     */
+    function finalizeAccumulator(acc) {
+        const result = { ...acc, overallAHT: formatAHT(weightedAHT(acc.weightedTime, acc.totalVolume)) };
+        TASK_TYPES.forEach(task => {
+            result[`${task.prefix}AHT`] = formatAHT(weightedAHT(acc[`${task.prefix}WeightedTime`], acc[`${task.prefix}Volume`]));
+        });
+        return result;
+    }
+
+    // --- AGGREGATION ---
+
+    /**
+     * Groups rows by a key and accumulates each group.
+     * @param {Array} data - Raw data rows.
+     * @param {Function} keyFn - (normalizedRow) => key, or null to skip the row.
+     * @param {Function} [initFn] - (normalizedRow) => extra fields for a new group.
+     * @param {Function} [updateFn] - (group, normalizedRow) => void, called for every row.
+     * @returns {Map} key -> accumulator (plus the extra fields).
+     */
+    function aggregateBy(data, keyFn, initFn, updateFn) {
+        const groups = new Map();
+        data.forEach(item => {
+            const row = normalizeRow(item);
+            const key = keyFn(row);
+            if (key === null || key === undefined) return;
+
+            let group = groups.get(key);
+            if (!group) {
+                group = Object.assign(createAccumulator(), initFn ? initFn(row) : {});
+                groups.set(key, group);
+            }
+            accumulate(group, row);
+            if (updateFn) updateFn(group, row);
+        });
+        return groups;
+    }
+
+    /**
+     * Totals for the whole dataset.
+     */
+    function aggregateTotals(data) {
+        const acc = createAccumulator();
+        data.forEach(item => accumulate(acc, normalizeRow(item)));
+        return acc;
+    }
+
+    /**
+     * Aggregates rows per TL and team (composite key "TL|Team"). Rows without a
+     * TL or a team are skipped.
+     * @returns {Array} One finalized accumulator per TL/team with `tl` and `team`.
+     */
+    function aggregateByTLTeam(data) {
+        const groups = aggregateBy(
+            data,
+            row => (row.tl && row.team ? `${row.tl}|${row.team}` : null),
+            row => ({ tl: row.tl, team: row.team })
+        );
+        return Array.from(groups.values()).map(finalizeAccumulator);
+    }
+
+    /**
+     * Aggregates rows per employee (EMP ID). Rows without a valid EMP ID are
+     * skipped. `tl` and `team` are the normalized values of the employee's
+     * latest assignment ('' when unknown, so they still match the rows);
+     * `assignments` splits the metrics per TL / team assignment (see
+     * assignmentSegments()) and `transferred` is set when there are several.
+     * @returns {Array} One finalized accumulator per employee with `empId`, `name`,
+     *   `tl`, `team`, `assignments` and `transferred`.
+     */
+    function aggregateByEmployee(data) {
+        const groups = aggregateBy(
+            data,
+            row => (row.hasEmpId ? row.empId : null),
+            row => ({ empId: row.empId, name: row.employeeName || 'N/A', rows: [] }),
+            (group, row) => { group.rows.push(row); }
+        );
+        return Array.from(groups.values()).map(acc => {
+            const { rows, ...metrics } = finalizeAccumulator(acc);
+            const assignments = assignmentSegments(rows);
+            const current = assignments[assignments.length - 1];
+            return {
+                ...metrics,
+                tl: current.tl,
+                team: current.team,
+                assignments,
+                transferred: assignments.length > 1
+            };
+        });
+    }
+
+    /**
+     * Aggregates rows per Date value, sorted by date ascending.
+     * @returns {Array} One finalized accumulator per day with `date`.
+     */
+    function aggregateByDay(data) {
+        const groups = aggregateBy(data, row => row.date, row => ({ date: row.date }));
+        return Array.from(groups.values())
+            .map(finalizeAccumulator)
+            .sort((a, b) => parseDate(a.date) - parseDate(b.date));
+    }
+
+    /**
+     * Aggregates rows per Shift ('N/A' for rows without one).
+     */
+    function aggregateByShift(data) {
+        const groups = aggregateBy(data, row => row.shift || 'N/A', row => ({ shift: row.shift || 'N/A' }));
+        return Array.from(groups.values()).map(finalizeAccumulator);
+    }
+
+    /**
+     * Aggregates rows per day, ISO week or month, sorted by date ascending.
+     * Per day this is aggregateByDay; coarser periods get the period label as
+     * `date` (e.g. '2025-W45', 'Nov 2025') plus `periodStart` / `periodEnd`.
+     * @param {Array} data - Raw data rows.
+     * @param {string} granularity - 'day', 'week' or 'month'.
+     * @returns {Array} One finalized accumulator per period.
+     */
+    function aggregateByGranularity(data, granularity) {
+        if (!granularity || granularity === 'day') return aggregateByDay(data);
+        const { periods, series } = aggregateByPeriod(data, granularity);
+        if (series.length === 0) return [];
+        return periods.map(period => ({
+            ...series[0].points.get(period.key),
+            date: period.label,
+            periodStart: period.start,
+            periodEnd: period.end
+        }));
+    }
+
+    // --- ASSIGNMENTS ---
+
+    /**
+     * Splits normalized rows of one employee into TL / team assignments: a new
+     * assignment starts whenever the TL or team of the rows (in date order)
+     * changes. Rows without a TL and team stay in the assignment around them.
+     * @param {Array} rows - Normalized rows of one employee.
+     * @returns {Array} [{ tl, team, startDate, endDate (Date values as in the
+     *   rows), days (distinct dates), ...finalized accumulator of the rows }],
+     *   in date order.
+     */
+    function assignmentSegments(rows) {
+        const sorted = rows
+            .map((row, index) => ({ row, index, time: parseDate(row.date) }))
+            .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+            .map(entry => entry.row);
+
+        const segments = [];
+        sorted.forEach(row => {
+            const key = row.tl || row.team ? `${row.tl}|${row.team}` : null;
+            let segment = segments[segments.length - 1];
+            if (!segment || (key !== null && segment.key !== null && segment.key !== key)) {
+                segment = { key, tl: row.tl, team: row.team, startDate: row.date, endDate: row.date, dates: new Set(), acc: createAccumulator() };
+                segments.push(segment);
+            } else if (segment.key === null && key !== null) {
+                Object.assign(segment, { key, tl: row.tl, team: row.team });
+            }
+            segment.endDate = row.date;
+            segment.dates.add(row.date);
+            accumulate(segment.acc, row);
+        });
+
+        return segments.map(segment => ({
+            ...finalizeAccumulator(segment.acc),
+            tl: segment.tl,
+            team: segment.team,
+            startDate: segment.startDate,
+            endDate: segment.endDate,
+            days: segment.dates.size
+        }));
+    }
+
+    /**
+     * TL / team assignment history of every employee.
+     * @param {Array} data - Raw data rows.
+     * @returns {Map} EMP ID -> assignmentSegments() of the employee's rows.
+     */
+    function employeeAssignments(data) {
+        const rowsByEmployee = new Map();
+        data.map(normalizeRow).forEach(row => {
+            if (!row.hasEmpId) return;
+            if (!rowsByEmployee.has(row.empId)) rowsByEmployee.set(row.empId, []);
+            rowsByEmployee.get(row.empId).push(row);
+        });
+        const assignments = new Map();
+        rowsByEmployee.forEach((rows, empId) => assignments.set(empId, assignmentSegments(rows)));
+        return assignments;
+    }
+
+    // --- MIX-ADJUSTED AHT ---
+
+    /**
+     * Site-standard AHT per task type: the volume-weighted AHT of each task
+     * over the whole site's rows (all TLs, teams and shifts of the period).
+     * @returns {Object} e.g. { 'Notification': 21.4, 'Room Status': 8.1, 'Zone Events': 40.2 }
+     */
+    function siteStandardAHT(data) {
+        return ahtByTask(aggregateTotals(data));
+    }
+
+    /**
+     * Mix-adjusted AHT index of an accumulator: its actual weighted handle time
+     * divided by the time its task volumes would have taken at the standard
+     * AHTs. 1.00 is the site standard for that task mix; above is slower, below
+     * faster. Tasks without a standard are left out of both sides.
+     * @param {Object} acc - Accumulator (or finalized accumulator).
+     * @param {Object} [standards] - siteStandardAHT() result.
+     * @returns {number|null} Null without standards or volume to compare.
+     */
+    function mixAdjustedAHTIndex(acc, standards) {
+        if (!standards) return null;
+        let actual = 0;
+        let expected = 0;
+        TASK_TYPES.forEach(task => {
+            if (!(standards[task.key] > 0)) return;
+            actual += acc[`${task.prefix}WeightedTime`];
+            expected += acc[`${task.prefix}Volume`] * standards[task.key];
+        });
+        return expected > 0 ? actual / expected : null;
+    }
+
+    // Adds `mixAdjustedIndex` to a finalized accumulator
+    function withMixAdjustedIndex(metrics, standards) {
+        return { ...metrics, mixAdjustedIndex: mixAdjustedAHTIndex(metrics, standards) };
+    }
+
+    // --- PRODUCTIVITY ---
+
+    /**
+     * Like aggregateBy(), also counting each group's active employees (unique
+     * valid EMP IDs) and employee-days (distinct Dates per EMP ID), so volume
+     * and handle time can be compared across teams of different sizes.
+     * @returns {Array} Finalized accumulators plus `headcount`, `employeeDays`,
+     *   `volumePerHead`, `volumePerEmployeeDay` and `handleTimePerEmployeeDay`
+     *   (weighted handle time in seconds).
+     */
+    function aggregateWithHeadcount(data, keyFn, initFn) {
+        const groups = aggregateBy(
+            data,
+            keyFn,
+            row => ({ ...initFn(row), empIds: new Set(), empDays: new Set() }),
+            (group, row) => {
+                if (!row.hasEmpId) return;
+                group.empIds.add(row.empId);
+                group.empDays.add(`${row.empId}|${row.date}`);
+            }
+        );
+        return Array.from(groups.values()).map(acc => {
+            const { empIds, empDays, ...result } = finalizeAccumulator(acc);
+            result.headcount = empIds.size;
+            result.employeeDays = empDays.size;
+            result.volumePerHead = empIds.size > 0 ? result.totalVolume / empIds.size : 0;
+            result.volumePerEmployeeDay = empDays.size > 0 ? result.totalVolume / empDays.size : 0;
+            result.handleTimePerEmployeeDay = empDays.size > 0 ? result.weightedTime / empDays.size : 0;
+            return result;
+        });
+    }
+
+    // Productivity fields of an aggregateWithHeadcount() result
+    function productivityOf(metrics) {
+        return {
+            headcount: metrics.headcount,
+            employeeDays: metrics.employeeDays,
+            volumePerHead: metrics.volumePerHead,
+            volumePerEmployeeDay: metrics.volumePerEmployeeDay,
+            handleTimePerEmployeeDay: metrics.handleTimePerEmployeeDay
+        };
+    }
+
+    // --- SHIFT ANALYTICS ---
+
+    // Adds the weighted AHT per task and the task mix (% of the volume per task key)
+    function withTaskMix(metrics) {
+        const taskMix = {};
+        TASK_TYPES.forEach(task => {
+            taskMix[task.key] = metrics.totalVolume > 0 ? (metrics[`${task.prefix}Volume`] / metrics.totalVolume) * 100 : 0;
+        });
+        return { ...metrics, volume: metrics.totalVolume, ahtByTask: ahtByTask(metrics), taskMix };
+    }
+
+    /**
+     * Shift breakdown of a dataset, sorted by shift name.
+     * @param {Array} data - Raw data rows.
+     * @returns {Array} [{ shift, volume, ahtByTask, taskMix, ...aggregateWithHeadcount()
+     *   fields }].
+     */
+    function calculateShiftMetrics(data) {
+        return aggregateWithHeadcount(data, row => row.shift || 'N/A', row => ({ shift: row.shift || 'N/A' }))
+            .map(withTaskMix)
+            .sort((a, b) => a.shift.localeCompare(b.shift, undefined, { numeric: true }));
+    }
+
+    /**
+     * TL × shift matrix of the shift breakdown, for heatmaps. Rows without a TL
+     * are left out.
+     * @param {Array} data - Raw data rows.
+     * @returns {{tls: Array<string>, shifts: Array<string>, cells: Map}} Sorted
+     *   TLs and shifts; `cells` maps 'TL|Shift' to the calculateShiftMetrics()
+     *   entry of that TL's rows on that shift.
+     */
+    function calculateTLShiftMatrix(data) {
+        const groups = aggregateWithHeadcount(
+            data,
+            row => (row.tl ? `${row.tl}|${row.shift || 'N/A'}` : null),
+            row => ({ tl: row.tl, shift: row.shift || 'N/A' })
+        ).map(withTaskMix);
+        const cells = new Map();
+        groups.forEach(metrics => cells.set(`${metrics.tl}|${metrics.shift}`, metrics));
+        const unique = field => Array.from(new Set(groups.map(metrics => metrics[field])))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return { tls: unique('tl'), shifts: unique('shift'), cells };
+    }
+
+    // --- DASHBOARD METRICS ---
+
+    /**
+     * Calculates the TL dashboard metrics for a (filtered) dataset.
+     * `ahtData` and `tlMetrics[].ahtByTask` are volume-weighted; the `...Simple`
+     * variants hold the plain mean of the row AHTs for comparison.
+     * `tlMetrics` (per TL and team) and `tlTeamMap` (per TL) also carry the
+     * headcount-normalized productivity of aggregateWithHeadcount().
+     * `mixAdjustedIndex` (overall, per TL/team and per employee) compares the
+     * handle time with the standard AHTs for the same task mix.
+     * @param {Array} data - Raw data rows.
+     * @param {Object} [standards] - Per-task standard AHTs; defaults to
+     *   siteStandardAHT(data), so pass the site's when `data` is filtered.
+     * @returns {Object} KPIs, TL/team, shift and employee breakdowns.
+     */
+    function calculateMetrics(data, standards = siteStandardAHT(data)) {
+        if (data.length === 0) {
+            return {
+                overallAHT: '0.00',
+                mixAdjustedIndex: null,
+                standardAHT: standards,
+                totalVolume: 0,
+                unassignedVolume: 0,
+                tlMetrics: [],
+                shiftMetrics: [],
+                ahtData: { 'Notification': 0, 'Room Status': 0, 'Zone Events': 0 },
+                ahtDataSimple: { 'Notification': 0, 'Room Status': 0, 'Zone Events': 0 },
+                volumeData: { 'Notification': 0, 'Room Status': 0, 'Zone Events': 0 },
+                employeeMetrics: [],
+                tlTeamMap: []
+            };
+        }
+
+        const totals = aggregateTotals(data);
+
+        const unassignedVolume = data
+            .map(normalizeRow)
+            .filter(row => !row.hasEmpId)
+            .reduce((sum, row) => sum + row.totalVolume, 0);
+
+        const tlMetrics = aggregateWithHeadcount(
+            data,
+            row => (row.tl && row.team ? `${row.tl}|${row.team}` : null),
+            row => ({ tl: row.tl, team: row.team })
+        ).map(metrics => ({
+            tl: metrics.tl,
+            team: metrics.team,
+            volume: metrics.totalVolume,
+            aht: metrics.overallAHT,
+            ahtByTask: ahtByTask(metrics),
+            ahtByTaskSimple: simpleAHTByTask(metrics),
+            mixAdjustedIndex: mixAdjustedAHTIndex(metrics, standards),
+            ...productivityOf(metrics)
+        }));
+
+        const employeeMetrics = aggregateByEmployee(data)
+            .map(metrics => withMixAdjustedIndex(metrics, standards))
+            .sort((a, b) => b.totalVolume - a.totalVolume);
+
+        // TL -> teams assignment table with productivity (aggregated by TL only)
+        const tlTeams = new Map();
+        data.map(normalizeRow).forEach(row => {
+            if (!row.tl) return;
+            if (!tlTeams.has(row.tl)) tlTeams.set(row.tl, new Set());
+            if (row.team) tlTeams.get(row.tl).add(row.team);
+        });
+        const tlTotals = new Map(aggregateWithHeadcount(data, row => row.tl || null, row => ({ tl: row.tl }))
+            .map(metrics => [metrics.tl, metrics]));
+        const tlTeamMap = Array.from(tlTeams.entries()).map(([tl, teams]) => ({
+            tl,
+            teams: Array.from(teams).sort((a, b) => parseInt(a) - parseInt(b)).join(', '),
+            volume: tlTotals.get(tl).totalVolume,
+            ...productivityOf(tlTotals.get(tl))
+        }));
+
+        const volumeData = {};
+        TASK_TYPES.forEach(task => { volumeData[task.key] = totals[`${task.prefix}Volume`]; });
+
+        return {
+            overallAHT: formatAHT(weightedAHT(totals.weightedTime, totals.totalVolume)),
+            mixAdjustedIndex: mixAdjustedAHTIndex(totals, standards),
+            standardAHT: standards,
+            totalVolume: totals.totalVolume,
+            unassignedVolume,
+            tlMetrics,
+            shiftMetrics: calculateShiftMetrics(data),
+            ahtData: ahtByTask(totals),
+            ahtDataSimple: simpleAHTByTask(totals),
+            volumeData,
+            employeeMetrics,
+            tlTeamMap
+        };
+    }
+
+    /**
+     * Calculates aggregate and daily metrics for a single employee.
+     * @param {Array} data - The filtered dataset for one employee.
+     * @param {string} [granularity='day'] - Period of `periodPerformance`: 'day', 'week' or 'month'.
+     * @param {Object} [standards] - Site-standard AHTs (siteStandardAHT()) for
+     *   `mixAdjustedIndex`; without them the index is null.
+     * @returns {Object} Aggregate KPIs, the daily performance records, the
+     *   records per selected period and the TL / team `assignments` (with
+     *   their own metrics); `teamId` is the team of the latest assignment.
+     */
+    function calculateEmployeeMetrics(data, granularity, standards) {
+        if (data.length === 0) {
+            return {
+                overallAHT: '0.00',
+                mixAdjustedIndex: null,
+                totalVolume: 0,
+                ahtData: { 'Notification': '0.00', 'Room Status': '0.00', 'Zone Events': '0.00' },
+                dailyPerformance: [],
+                periodPerformance: [],
+                employeeName: 'N/A',
+                empId: 'N/A',
+                teamId: null,
+                assignments: []
+            };
+        }
+
+        const rows = data.map(normalizeRow);
+        const first = rows[0];
+        const assignments = assignmentSegments(rows);
+        const teamAssignment = assignments.slice().reverse().find(assignment => assignment.team);
+        const totals = finalizeAccumulator(aggregateTotals(data));
+
+        const ahtData = {};
+        TASK_TYPES.forEach(task => { ahtData[task.key] = totals[`${task.prefix}AHT`]; });
+
+        return {
+            overallAHT: totals.overallAHT,
+            mixAdjustedIndex: mixAdjustedAHTIndex(totals, standards),
+            totalVolume: totals.totalVolume,
+            ahtData,
+            dailyPerformance: aggregateByDay(data).map(day => withMixAdjustedIndex(day, standards)),
+            periodPerformance: aggregateByGranularity(data, granularity).map(period => withMixAdjustedIndex(period, standards)),
+            employeeName: first.employeeName || 'N/A',
+            empId: first.empId || 'N/A',
+            teamId: teamAssignment ? parseInt(teamAssignment.team) : null,
+            assignments
+        };
+    }
+
+    // --- PEER BENCHMARKS ---
+
+    /**
+     * Metrics compared between an employee and their peers. AHTs only count
+     * for employees with volume in that task (the AHT would be 0 otherwise).
+     */
+    const BENCHMARK_FIELDS = [
+        { field: 'totalVolume', volumeField: 'totalVolume', lowerIsBetter: false },
+        { field: 'overallAHT', volumeField: 'totalVolume', lowerIsBetter: true },
+        ...TASK_TYPES.map(task => ({ field: `${task.prefix}AHT`, volumeField: `${task.prefix}Volume`, lowerIsBetter: true }))
+    ];
+
+    function median(values) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Percentile rank of a value among peer values: the share (0-100) of the
+     * peers it does better than, ties counting half.
+     * @returns {number|null} Null when there are no peers.
+     */
+    function percentileRank(value, peerValues, lowerIsBetter) {
+        if (peerValues.length === 0) return null;
+        let score = 0;
+        peerValues.forEach(peer => {
+            if (peer === value) score += 0.5;
+            else if (lowerIsBetter ? value < peer : value > peer) score += 1;
+        });
+        return (score / peerValues.length) * 100;
+    }
+
+    // Numeric value of a benchmark field, or null when the accumulator has no volume for it
+    function benchmarkValue(metrics, spec) {
+        return metrics[spec.volumeField] > 0 ? parseFloat(metrics[spec.field]) : null;
+    }
+
+    // Median of every benchmark field over a list of finalized accumulators
+    function benchmarkMedians(metricsList) {
+        const medians = {};
+        BENCHMARK_FIELDS.forEach(spec => {
+            medians[spec.field] = median(metricsList.map(metrics => benchmarkValue(metrics, spec)).filter(value => value !== null));
+        });
+        return medians;
+    }
+
+    /**
+     * Per-period medians over the employees of a group (each employee-period counts once).
+     * @param {string} [granularity='day'] - 'day', 'week' or 'month'.
+     * @returns {Map} Date value (per day) or period label -> medians of the benchmark fields.
+     */
+    function dailyBenchmarkMedians(data, granularity) {
+        const periodLabel = row => (!granularity || granularity === 'day' ? row.date : periodOf(parseDate(row.date), granularity).label);
+        const employeeDays = aggregateBy(data, row => (row.hasEmpId ? `${row.empId}|${periodLabel(row)}` : null), row => ({ date: periodLabel(row) }));
+        const byDate = new Map();
+        employeeDays.forEach(acc => {
+            if (!byDate.has(acc.date)) byDate.set(acc.date, []);
+            byDate.get(acc.date).push(finalizeAccumulator(acc));
+        });
+        const result = new Map();
+        byDate.forEach((metricsList, date) => result.set(date, benchmarkMedians(metricsList)));
+        return result;
+    }
+
+    /**
+     * Benchmarks one employee against their team (same TL and team as their
+     * latest assignment), that TL's whole group and the full site, over the
+     * rows given (usually the selected date range).
+     * @param {Array} data - Raw data rows of the whole site.
+     * @param {string} empId - The employee to benchmark.
+     * @param {string} [granularity='day'] - Periods of the `daily` medians.
+     * @returns {Object|null} { values, team, tlGroup, site }, or null if the employee
+     *   has no rows. `values` holds the employee's own benchmark values; each group
+     *   has { label, employeeCount, medians, percentiles, differences, daily }, where
+     *   `differences` are the employee's values minus the group median and `daily`
+     *   maps each day (or period label) to the group's medians.
+     */
+    function calculatePeerBenchmarks(data, empId, granularity) {
+        const employees = new Map(aggregateByEmployee(data).map(metrics => [metrics.empId, metrics]));
+        const employee = employees.get(empId);
+        if (!employee) return null;
+
+        // TL and team of the same (latest) assignment
+        const { tl, team } = employee;
+
+        const groups = {
+            team: { label: `Team ${team || 'N/A'} (${tl || 'N/A'})`, filter: row => row.tl === tl && row.team === team },
+            tlGroup: { label: `TL ${tl || 'N/A'}`, filter: row => row.tl === tl },
+            site: { label: 'Site', filter: () => true }
+        };
+
+        const values = {};
+        BENCHMARK_FIELDS.forEach(spec => { values[spec.field] = benchmarkValue(employee, spec); });
+
+        const result = { values };
+        Object.entries(groups).forEach(([key, group]) => {
+            const groupData = data.filter(item => group.filter(normalizeRow(item)));
+            const peers = aggregateByEmployee(groupData);
+            const others = peers.filter(metrics => metrics.empId !== empId);
+
+            const medians = benchmarkMedians(peers);
+            const percentiles = {};
+            const differences = {};
+            BENCHMARK_FIELDS.forEach(spec => {
+                const value = values[spec.field];
+                const peerValues = others.map(metrics => benchmarkValue(metrics, spec)).filter(peerValue => peerValue !== null);
+                percentiles[spec.field] = value === null ? null : percentileRank(value, peerValues, spec.lowerIsBetter);
+                differences[spec.field] = value === null || medians[spec.field] === null ? null : value - medians[spec.field];
+            });
+
+            result[key] = {
+                label: group.label,
+                employeeCount: peers.length,
+                medians,
+                percentiles,
+                differences,
+                daily: dailyBenchmarkMedians(groupData, granularity)
+            };
+        });
+        return result;
+    }
+
+    return {
+        TASK_TYPES,
+        parseDate,
+        parseInputDate,
+        formatDateForInput,
+        isValidEmpId,
+        normalizeRow,
+        filterByShift,
+        restrictToTaskType,
+        addDays,
+        daysBetween,
+        filterByDateRange,
+        comparisonRange,
+        percentChange,
+        isoWeek,
+        periodOf,
+        periodOffset,
+        aggregateByPeriod,
+        weightedAHT,
+        formatAHT,
+        createAccumulator,
+        accumulate,
+        ahtByTask,
+        simpleAHTByTask,
+        finalizeAccumulator,
+        aggregateBy,
+        aggregateTotals,
+        aggregateByTLTeam,
+        aggregateByEmployee,
+        employeeAssignments,
+        aggregateByDay,
+        aggregateByGranularity,
+        aggregateByShift,
+        aggregateWithHeadcount,
+        calculateShiftMetrics,
+        calculateTLShiftMatrix,
+        siteStandardAHT,
+        mixAdjustedAHTIndex,
+        calculateMetrics,
+        calculateEmployeeMetrics,
+        BENCHMARK_FIELDS,
+        median,
+        percentileRank,
+        calculatePeerBenchmarks
+    };
+}));
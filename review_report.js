@@ -0,0 +1,427 @@
+/**
+ * Printable performance review reports: feedback, KPIs against the team
+ * average, target attainment, trend charts (drawn off-screen as images) and
+ * the daily records of an employee, or of every employee of a team behind a
+ * cover page. They are shown in a print preview that prints or saves to PDF
+ * through the browser's print dialog (see review_report.css).
+ * Load after dashboard_common.js, before the page script.
+ */
+
+// --- REVIEW DATA ---
+
+/**
+ * Collects everything a review report shows for one employee.
+ * @param {Array} data - Rows of the whole site in the review period (the team
+ *   average and medians are taken from them).
+ * @param {string} empId - The employee to review.
+ * @param {Object} options - { tl, team ('all' or the TL / team to restrict the
+ *   employee's rows to), granularity ('day', 'week' or 'month'), startDate,
+ *   endDate (YYYY-MM-DD) }.
+ * @returns {Object|null} The review, or null when the employee has no rows.
+ */
+function buildEmployeeReview(data, empId, options) {
+    const tl = options.tl || 'all';
+    const team = options.team || 'all';
+    const granularity = options.granularity || 'day';
+    // The filter values are raw column values, so normalize them like the rows
+    const selected = MetricsCore.normalizeRow({ 'TL': tl, 'Team': team });
+    const employeeData = data.filter(item => {
+        const row = MetricsCore.normalizeRow(item);
+        return row.empId === empId
+            && (tl === 'all' || row.tl === selected.tl)
+            && (team === 'all' || row.team === selected.team);
+    });
+    if (employeeData.length === 0) return null;
+
+    // The mix-adjusted index compares with the site's standard AHTs, as on the dashboards
+    const standards = MetricsCore.siteStandardAHT(data);
+    const metrics = MetricsCore.calculateEmployeeMetrics(employeeData, granularity, standards);
+    const rulesConfig = loadRulesConfig();
+    const attainment = RulesCore.calculateAttainment(rulesConfig, employeeData).employees[0] || null;
+
+    // The employee's latest TL / team assignment (the team they are compared with)
+    const latest = metrics.assignments.slice().reverse().find(segment => segment.tl && segment.team);
+    const assignment = latest ? { tl: latest.tl, team: latest.team } : { tl: '', team: '' };
+    const teamData = data.filter(item => {
+        const row = MetricsCore.normalizeRow(item);
+        return row.tl === assignment.tl && row.team === assignment.team;
+    });
+    const teamTotals = MetricsCore.finalizeAccumulator(MetricsCore.aggregateTotals(teamData));
+    const teamEmployees = MetricsCore.aggregateByEmployee(teamData).length;
+    const teamAttainment = RulesCore.calculateAttainment(rulesConfig, teamData).tlTeams
+        .find(group => group.tl === assignment.tl && group.team === assignment.team);
+
+    return {
+        empId,
+        granularity,
+        startDate: options.startDate || '',
+        endDate: options.endDate || '',
+        tl: assignment.tl,
+        team: assignment.team,
+        metrics,
+        feedback: performanceFeedbackContent(metrics, employeeData),
+        attainment,
+        periods: attainment ? RulesCore.attainmentByPeriod(attainment.days, granularity) : [],
+        benchmarks: MetricsCore.calculatePeerBenchmarks(data, empId, granularity),
+        // Per-employee volume and the team's weighted AHTs
+        teamAverage: {
+            employees: teamEmployees,
+            totalVolume: teamEmployees > 0 ? teamTotals.totalVolume / teamEmployees : null,
+            overallAHT: teamTotals.totalVolume > 0 ? parseFloat(teamTotals.overallAHT) : null,
+            mixAdjustedIndex: MetricsCore.mixAdjustedAHTIndex(teamTotals, standards),
+            ...Object.fromEntries(MetricsCore.TASK_TYPES.map(task => [
+                `${task.prefix}AHT`,
+                teamTotals[`${task.prefix}Volume`] > 0 ? parseFloat(teamTotals[`${task.prefix}AHT`]) : null
+            ])),
+            attainmentPct: teamAttainment ? teamAttainment.attainmentPct : null
+        }
+    };
+}
+
+// --- CHART IMAGES ---
+
+/**
+ * Draws a chart on a detached canvas and returns it as a PNG data URL.
+ */
+function renderChartImage(type, data, options, width = 900, height = 300) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const chart = new Chart(canvas.getContext('2d'), {
+        type,
+        data,
+        options: { ...options, responsive: false, animation: false, devicePixelRatio: 2 }
+    });
+    const image = chart.toBase64Image();
+    chart.destroy();
+    return image;
+}
+
+// Trend charts of a review: the employee's values with the team median (and target on volume)
+const REVIEW_TREND_CHARTS = [
+    { field: 'totalVolume', label: 'Total Volume', color: '#007bff' },
+    { field: 'overallAHT', label: 'Overall AHT (s)', color: '#dc3545' },
+    { field: 'notifAHT', label: 'Notification AHT (s)', color: '#28a745' },
+    { field: 'roomAHT', label: 'Room Status AHT (s)', color: '#ffc107' },
+    { field: 'zoneAHT', label: 'Zone Event AHT (s)', color: '#17a2b8' },
+];
+
+/**
+ * @returns {Array} [{ label, image }] for the review's trend charts.
+ */
+function reviewTrendImages(review) {
+    const performance = review.metrics.periodPerformance;
+    const labels = performance.map(period => period.date);
+    const targets = new Map(review.periods.map(period => [period.date, period.target]));
+    const teamDaily = review.benchmarks ? review.benchmarks.team.daily : new Map();
+
+    return REVIEW_TREND_CHARTS.map(chart => {
+        const datasets = [{
+            label: chart.label,
+            data: performance.map(period => parseFloat(period[chart.field])),
+            borderColor: chart.color,
+            backgroundColor: chart.color + '40',
+            borderWidth: 2,
+            tension: 0.3,
+            fill: true
+        }, {
+            label: 'Team median',
+            data: labels.map(label => (teamDaily.has(label) ? teamDaily.get(label)[chart.field] : null)),
+            borderColor: '#6f42c1',
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            fill: false
+        }];
+        if (chart.field === 'totalVolume' && labels.some(label => targets.has(label) && targets.get(label) !== null)) {
+            datasets.push({
+                label: review.granularity === 'day' ? 'Daily Target' : 'Target (daily × working days)',
+                data: labels.map(label => (targets.has(label) ? targets.get(label) : null)),
+                borderColor: '#dc3545',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+            });
+        }
+        return {
+            label: chart.label,
+            image: renderChartImage('line', { labels, datasets }, {
+                plugins: { legend: { position: 'top' } },
+                scales: { y: { beginAtZero: true } }
+            })
+        };
+    });
+}
+
+// --- REPORT HTML ---
+
+// Employee value against the team average, e.g. "+12.3%"; lower is better for AHTs
+function teamDifferenceHTML(value, average, lowerIsBetter) {
+    if (value === null || average === null) return '-';
+    const percent = MetricsCore.percentChange(value, average);
+    if (percent === null) return '-';
+    let tone = 'same';
+    if (percent !== 0) tone = (percent < 0) === lowerIsBetter ? 'better' : 'worse';
+    return `<span class="delta ${tone}">${percent > 0 ? '+' : ''}${percent.toFixed(1)}%</span>`;
+}
+
+/**
+ * Report page of one employee.
+ * @param {Object} review - buildEmployeeReview output.
+ * @returns {string} A <section class="review-page">.
+ */
+function reviewReportHTML(review) {
+    const { metrics, attainment, teamAverage } = review;
+    const labels = { day: ['Daily', 'Date'], week: ['Weekly', 'ISO Week'], month: ['Monthly', 'Month'] }[review.granularity];
+    const tracked = attainment && attainment.trackedDays > 0;
+    const formatNumber = (value, decimals) => (value === null || value === undefined
+        ? '-'
+        : Number(value).toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+
+    const kpis = [
+        { label: 'Total Volume', value: metrics.totalVolume, average: teamAverage.totalVolume, decimals: 0, lowerIsBetter: false },
+        { label: 'Overall AHT (s)', value: parseFloat(metrics.overallAHT), average: teamAverage.overallAHT, decimals: 2, lowerIsBetter: true },
+        { label: 'Mix-Adjusted AHT Index', value: metrics.mixAdjustedIndex, average: teamAverage.mixAdjustedIndex, decimals: 2, lowerIsBetter: true },
+        ...MetricsCore.TASK_TYPES.map(task => ({
+            label: `${task.key} AHT (s)`,
+            value: parseFloat(metrics.ahtData[task.key]),
+            average: teamAverage[`${task.prefix}AHT`],
+            decimals: 2,
+            lowerIsBetter: true
+        })),
+        { label: 'Daily Target Attainment (%)', value: tracked ? attainment.attainmentPct : null, average: teamAverage.attainmentPct, decimals: 1, lowerIsBetter: false },
+    ];
+
+    const kpiCardsHTML = kpis.map(kpi => `
+        <div class="review-kpi">
+            <span class="review-kpi-label">${escapeHTML(kpi.label)}</span>
+            <span class="review-kpi-value">${formatNumber(kpi.value, kpi.decimals)}</span>
+        </div>
+    `).join('');
+
+    const teamRowsHTML = kpis.map(kpi => `
+        <tr>
+            <td>${escapeHTML(kpi.label)}</td>
+            <td>${formatNumber(kpi.value, kpi.decimals)}</td>
+            <td>${formatNumber(kpi.average, kpi.decimals)}</td>
+            <td>${teamDifferenceHTML(kpi.value, kpi.average, kpi.lowerIsBetter)}</td>
+        </tr>
+    `).join('');
+
+    const chartsHTML = reviewTrendImages(review).map(chart => `
+        <figure class="review-chart">
+            <img src="${chart.image}" alt="${escapeHTML(chart.label)} trend">
+            <figcaption>${escapeHTML(labels[0])} ${escapeHTML(chart.label)}</figcaption>
+        </figure>
+    `).join('');
+
+    const targets = new Map(review.periods.map(period => [period.date, period]));
+    const recordsHTML = metrics.periodPerformance.map(period => {
+        const target = targets.get(period.date);
+        const hasTarget = target && target.met !== null;
+        return `
+            <tr>
+                <td>${escapeHTML(period.date)}</td>
+                <td>${period.totalVolume.toLocaleString()}</td>
+                <td>${period.overallAHT}</td>
+                <td>${period.notifVolume.toLocaleString()}</td>
+                <td>${period.notifAHT}</td>
+                <td>${period.roomVolume.toLocaleString()}</td>
+                <td>${period.roomAHT}</td>
+                <td>${period.zoneVolume.toLocaleString()}</td>
+                <td>${period.zoneAHT}</td>
+                <td>${hasTarget ? target.target.toLocaleString() : '-'}</td>
+                <td>${hasTarget ? `<span class="${target.met ? 'target-met' : 'target-missed'}">${target.met ? 'Met' : 'Missed'}</span>` : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const periodText = review.startDate || review.endDate ? `${review.startDate || '…'} to ${review.endDate || '…'}` : 'All dates';
+    const attainmentText = tracked
+        ? `${attainment.metDays} of ${attainment.trackedDays} days at or above the daily target (${attainment.attainmentPct.toFixed(1)}%).
+            Current run below target: ${attainment.currentBelowStreak} day(s); longest: ${attainment.longestBelowStreak} day(s).`
+        : 'No daily volume target applies to this employee in the period.';
+
+    return `
+        <section class="review-page">
+            <header class="review-header">
+                <h1>Performance Review: ${escapeHTML(metrics.employeeName)} (${escapeHTML(metrics.empId)})</h1>
+                <p>Team Leader: ${escapeHTML(review.tl || 'N/A')} · Team ${escapeHTML(review.team || 'N/A')} · Period: ${escapeHTML(periodText)}</p>
+                <p class="review-generated">Generated ${escapeHTML(new Date().toLocaleString())}</p>
+            </header>
+
+            <div class="review-feedback review-feedback-${review.feedback.tone}">${review.feedback.html}</div>
+
+            <h2>Key Figures</h2>
+            <div class="review-kpis">${kpiCardsHTML}</div>
+
+            <h2>Target Attainment</h2>
+            <p>${attainmentText}</p>
+
+            <h2>Compared to the Team Average</h2>
+            <table class="review-table">
+                <thead><tr><th>Metric</th><th>Employee</th><th>Team average (${teamAverage.employees} employee(s))</th><th>Difference</th></tr></thead>
+                <tbody>${teamRowsHTML}</tbody>
+            </table>
+            <p class="review-note">Volume is compared per employee; AHTs against the team's volume-weighted AHT.</p>
+
+            <h2>Trends</h2>
+            <div class="review-charts">${chartsHTML}</div>
+
+            <h2>${escapeHTML(labels[0])} Records</h2>
+            <table class="review-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHTML(labels[1])}</th><th>Total Volume</th><th>Overall AHT (s)</th>
+                        <th>Notif Volume</th><th>Notif AHT (s)</th><th>Room Volume</th><th>Room AHT (s)</th>
+                        <th>Zone Volume</th><th>Zone AHT (s)</th><th>Target</th><th>Target Met</th>
+                    </tr>
+                </thead>
+                <tbody>${recordsHTML}</tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * Cover page of a batch of reviews: the team's figures and one line per
+ * employee.
+ * @param {string} title - e.g. 'Team Reviews: Ann (Team 3)'.
+ * @param {Array} reviews - buildEmployeeReview outputs, in report order.
+ * @param {Object} teamMetrics - MetricsCore.calculateMetrics of the team's rows.
+ * @param {Object} options - { startDate, endDate }.
+ * @returns {string} A <section class="review-page review-cover">.
+ */
+function teamCoverHTML(title, reviews, teamMetrics, options) {
+    const periodText = options.startDate || options.endDate ? `${options.startDate || '…'} to ${options.endDate || '…'}` : 'All dates';
+    const feedbackText = { neutral: '-', info: 'No targets', good: 'All targets met', bad: 'Targets missed' };
+    const tracked = reviews.filter(review => review.attainment && review.attainment.trackedDays > 0);
+    const metDays = tracked.reduce((sum, review) => sum + review.attainment.metDays, 0);
+    const trackedDays = tracked.reduce((sum, review) => sum + review.attainment.trackedDays, 0);
+
+    const kpis = [
+        ['Employees', reviews.length.toLocaleString()],
+        ['Total Volume', (teamMetrics.totalVolume || 0).toLocaleString()],
+        ['Overall AHT (s)', teamMetrics.overallAHT],
+        ...MetricsCore.TASK_TYPES.map(task => [`${task.key} AHT (s)`, (teamMetrics.ahtData[task.key] || 0).toFixed(2)]),
+        ['Daily Target Attainment', trackedDays > 0 ? `${((metDays / trackedDays) * 100).toFixed(1)}% (${metDays}/${trackedDays} days)` : 'No target'],
+    ];
+
+    const rowsHTML = reviews.map(review => {
+        const attainment = review.attainment && review.attainment.trackedDays > 0
+            ? `${review.attainment.attainmentPct.toFixed(1)}% (${review.attainment.metDays}/${review.attainment.trackedDays} days)`
+            : 'No target';
+        return `
+            <tr>
+                <td>${escapeHTML(review.metrics.employeeName)}</td>
+                <td>${escapeHTML(review.metrics.empId)}</td>
+                <td>${escapeHTML(review.team || 'N/A')}</td>
+                <td>${review.metrics.totalVolume.toLocaleString()}</td>
+                <td>${review.metrics.overallAHT}</td>
+                <td>${attainment}</td>
+                <td>${feedbackText[review.feedback.tone]}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <section class="review-page review-cover">
+            <header class="review-header">
+                <h1>${escapeHTML(title)}</h1>
+                <p>Period: ${escapeHTML(periodText)} · ${reviews.length} employee review(s)</p>
+                <p class="review-generated">Generated ${escapeHTML(new Date().toLocaleString())}</p>
+            </header>
+
+            <h2>Team Summary</h2>
+            <div class="review-kpis">
+                ${kpis.map(([label, value]) => `
+                    <div class="review-kpi">
+                        <span class="review-kpi-label">${escapeHTML(label)}</span>
+                        <span class="review-kpi-value">${escapeHTML(value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+
+            <h2>Employees</h2>
+            <table class="review-table">
+                <thead>
+                    <tr><th>Employee</th><th>EMP ID</th><th>Team</th><th>Total Volume</th><th>Overall AHT (s)</th><th>Target Attainment</th><th>Feedback</th></tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * Builds the reviews of several employees one at a time, so the page can
+ * show progress and stays responsive.
+ * @param {Array} data - Rows of the whole site in the review period.
+ * @param {Array} empIds - The employees, in report order.
+ * @param {Object} options - As for buildEmployeeReview.
+ * @param {Function} [onProgress] - (done, total) after each employee.
+ * @returns {Promise<Array>} The reviews (employees without rows are left out);
+ *   rejects with the first error building a review.
+ */
+function buildEmployeeReviews(data, empIds, options, onProgress) {
+    const reviews = [];
+    return empIds.reduce((chain, empId, index) => chain.then(() => new Promise((resolve, reject) => {
+        setTimeout(() => {
+            try {
+                const review = buildEmployeeReview(data, empId, options);
+                if (review) reviews.push(review);
+                if (onProgress) onProgress(index + 1, empIds.length);
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    })), Promise.resolve()).then(() => reviews);
+}
+
+// --- PRINT PREVIEW ---
+
+/**
+ * Shows report pages in a full-page preview with Print / Save as PDF and
+ * Close. While it is open only the report is printed.
+ * @param {string} title - Preview title, also the suggested PDF file name.
+ * @param {string} pagesHTML - One or more <section class="review-page"> elements.
+ */
+function showPrintableReport(title, pagesHTML) {
+    closePrintableReport();
+    const overlay = document.createElement('div');
+    overlay.className = 'review-report-overlay';
+    overlay.innerHTML = `
+        <div class="review-report-toolbar">
+            <strong>${escapeHTML(title)}</strong>
+            <button type="button" class="modal-button primary" data-report-action="print">Print / Save as PDF</button>
+            <button type="button" class="modal-button" data-report-action="close">Close</button>
+        </div>
+        <div class="review-report">${pagesHTML}</div>
+    `;
+    overlay.addEventListener('click', event => {
+        const button = event.target.closest('button[data-report-action]');
+        if (!button) return;
+        if (button.dataset.reportAction === 'print') {
+            window.print();
+        } else {
+            closePrintableReport();
+        }
+    });
+
+    // The document title becomes the default file name of "Save as PDF"
+    overlay.dataset.pageTitle = document.title;
+    document.title = title;
+    document.body.appendChild(overlay);
+    document.body.classList.add('printing-report');
+}
+
+function closePrintableReport() {
+    const overlay = document.querySelector('.review-report-overlay');
+    if (!overlay) return;
+    document.title = overlay.dataset.pageTitle;
+    overlay.remove();
+    document.body.classList.remove('printing-report');
+}
@@ -0,0 +1,407 @@
+/**
+ * Targets and feedback rules shared by the dashboards: the rules
+ * configuration (per team / TL / shift targets with effective dates), its
+ * validation, the evaluation of an employee's rows against it and daily
+ * target attainment.
+ *
+ * Like metrics_core.js this file is DOM-free: in the browser it exposes
+ * `window.RulesCore`, under Node it can be `require()`d.
+ *
+ * A rule looks like:
+ *   {
+ *     name: 'Daily task target',
+ *     teams: ['3', '4'], tls: [], shifts: [],        // empty = any
+ *     effectiveFrom: '2025-11-01', effectiveTo: '',   // YYYY-MM-DD, empty = open
+ *     dailyVolume: 1800,                              // minimum average daily volume, or null
+ *     maxAHT: { 'Notification': 30 }                  // maximum AHT (s) per task type
+ *   }
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.RulesCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const MetricsCore = typeof module === 'object' && module.exports
+        ? require('./metrics_core.js')
+        : root.MetricsCore;
+
+    const RULES_CONFIG_VERSION = 1;
+
+    // The targets the dashboards used before rules were configurable
+    const DEFAULT_RULES_CONFIG = {
+        version: RULES_CONFIG_VERSION,
+        rules: [
+            {
+                name: 'Daily task target',
+                teams: ['3', '4', '6'],
+                tls: [],
+                shifts: [],
+                effectiveFrom: '',
+                effectiveTo: '',
+                dailyVolume: 1800,
+                maxAHT: {}
+            }
+        ]
+    };
+
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    // --- CONFIGURATION ---
+
+    // Trimmed, non-empty strings of a scope list
+    function cleanList(list) {
+        return (list || []).map(value => String(value).trim()).filter(value => value !== '');
+    }
+
+    // A number, or null for an empty / missing target
+    function cleanTarget(value) {
+        if (value === undefined || value === null || value === '') return null;
+        return Number(value);
+    }
+
+    /**
+     * Fills in defaults for the optional fields of a rule.
+     */
+    function normalizeRule(rule) {
+        const maxAHT = {};
+        MetricsCore.TASK_TYPES.forEach(task => {
+            const limit = cleanTarget(rule.maxAHT && rule.maxAHT[task.key]);
+            if (limit !== null) maxAHT[task.key] = limit;
+        });
+        return {
+            name: rule.name ? String(rule.name).trim() : '',
+            teams: cleanList(rule.teams),
+            tls: cleanList(rule.tls),
+            shifts: cleanList(rule.shifts),
+            effectiveFrom: rule.effectiveFrom || '',
+            effectiveTo: rule.effectiveTo || '',
+            dailyVolume: cleanTarget(rule.dailyVolume),
+            maxAHT
+        };
+    }
+
+    /**
+     * Checks a rules configuration.
+     * @param {Object} config - { version, rules: [...] }.
+     * @returns {Array<string>} Problems found; empty when the configuration is valid.
+     */
+    function validateRulesConfig(config) {
+        if (!config || typeof config !== 'object' || !Array.isArray(config.rules)) {
+            return ['The configuration must be an object with a "rules" array.'];
+        }
+
+        const errors = [];
+        config.rules.forEach((rawRule, index) => {
+            const label = `Rule ${index + 1}`;
+            if (!rawRule || typeof rawRule !== 'object') {
+                errors.push(`${label} must be an object.`);
+                return;
+            }
+            ['teams', 'tls', 'shifts'].forEach(key => {
+                if (rawRule[key] !== undefined && !Array.isArray(rawRule[key])) {
+                    errors.push(`${label}: "${key}" must be a list.`);
+                }
+            });
+            if (rawRule.maxAHT !== undefined && (typeof rawRule.maxAHT !== 'object' || rawRule.maxAHT === null)) {
+                errors.push(`${label}: "maxAHT" must map task types to seconds.`);
+                return;
+            }
+            Object.keys(rawRule.maxAHT || {}).forEach(taskKey => {
+                if (!MetricsCore.TASK_TYPES.some(task => task.key === taskKey)) {
+                    errors.push(`${label}: unknown task type "${taskKey}" in "maxAHT".`);
+                }
+            });
+
+            const rule = normalizeRule({ ...rawRule, teams: [], tls: [], shifts: [] });
+            ['effectiveFrom', 'effectiveTo'].forEach(key => {
+                if (rule[key] && !DATE_PATTERN.test(rule[key])) {
+                    errors.push(`${label}: "${key}" must be a date (YYYY-MM-DD).`);
+                }
+            });
+            if (rule.effectiveFrom && rule.effectiveTo && rule.effectiveFrom > rule.effectiveTo) {
+                errors.push(`${label}: the effective start date is after the end date.`);
+            }
+            if (rule.dailyVolume !== null && !(rule.dailyVolume >= 0)) {
+                errors.push(`${label}: the daily volume target must be a number of 0 or more.`);
+            }
+            Object.entries(rule.maxAHT).forEach(([taskKey, limit]) => {
+                if (!(limit >= 0)) errors.push(`${label}: the maximum ${taskKey} AHT must be a number of 0 or more.`);
+            });
+            if (rule.dailyVolume === null && Object.keys(rule.maxAHT).length === 0) {
+                errors.push(`${label} sets no target.`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Parses and validates a JSON rules configuration (e.g. an imported file).
+     * @returns {Object} The normalized configuration.
+     * @throws {Error} If the JSON is malformed or the configuration is invalid.
+     */
+    function parseRulesConfig(text) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The rules file is not valid JSON (${error.message}).`);
+        }
+        const errors = validateRulesConfig(config);
+        if (errors.length > 0) throw new Error(errors.join(' '));
+        return normalizeRulesConfig(config);
+    }
+
+    function normalizeRulesConfig(config) {
+        return { version: RULES_CONFIG_VERSION, rules: config.rules.map(normalizeRule) };
+    }
+
+    // --- EVALUATION ---
+
+    /**
+     * Describes who and when a rule applies to, e.g. "Teams 3, 4 · Shift A · from 2025-11-01".
+     */
+    function describeRuleScope(rule) {
+        const parts = [];
+        if (rule.teams.length > 0) parts.push(`Team${rule.teams.length > 1 ? 's' : ''} ${rule.teams.join(', ')}`);
+        if (rule.tls.length > 0) parts.push(`TL ${rule.tls.join(', ')}`);
+        if (rule.shifts.length > 0) parts.push(`Shift ${rule.shifts.join(', ')}`);
+        if (parts.length === 0) parts.push('Everyone');
+        if (rule.effectiveFrom && rule.effectiveTo) {
+            parts.push(`${rule.effectiveFrom} to ${rule.effectiveTo}`);
+        } else if (rule.effectiveFrom) {
+            parts.push(`from ${rule.effectiveFrom}`);
+        } else if (rule.effectiveTo) {
+            parts.push(`until ${rule.effectiveTo}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Returns true if a normalized row falls inside a rule's scope and
+     * effective dates.
+     */
+    function ruleAppliesToRow(rule, row) {
+        if (rule.teams.length > 0 && !rule.teams.includes(row.team)) return false;
+        if (rule.tls.length > 0 && !rule.tls.includes(row.tl)) return false;
+        if (rule.shifts.length > 0 && !rule.shifts.includes(row.shift)) return false;
+
+        if (rule.effectiveFrom || rule.effectiveTo) {
+            const date = MetricsCore.formatDateForInput(MetricsCore.parseDate(row.date));
+            if (!date) return false;
+            if (rule.effectiveFrom && date < rule.effectiveFrom) return false;
+            if (rule.effectiveTo && date > rule.effectiveTo) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Evaluates every rule against one employee's rows. A rule applies to the
+     * rows inside its scope and effective dates; rules without such rows are
+     * left out. AHT limits are only checked for task types the employee
+     * handled in those rows.
+     * @param {Object} config - A rules configuration.
+     * @param {Array} data - Raw data rows (usually one employee, date-filtered).
+     * @returns {Array} [{ rule, scope, days, checks: [{ label, actual, target, passed }] }]
+     */
+    function evaluateRules(config, data) {
+        const rows = data.map(MetricsCore.normalizeRow);
+
+        return config.rules.map(normalizeRule).map(rule => {
+            const ruleRows = rows.filter(row => ruleAppliesToRow(rule, row));
+            if (ruleRows.length === 0) return null;
+
+            const acc = MetricsCore.createAccumulator();
+            ruleRows.forEach(row => MetricsCore.accumulate(acc, row));
+            const days = new Set(ruleRows.map(row => row.date)).size;
+            const ahtData = MetricsCore.ahtByTask(acc);
+
+            const checks = [];
+            if (rule.dailyVolume !== null) {
+                const avgDailyVolume = acc.totalVolume / days;
+                checks.push({
+                    label: 'Average daily volume',
+                    actual: avgDailyVolume,
+                    target: rule.dailyVolume,
+                    passed: avgDailyVolume >= rule.dailyVolume
+                });
+            }
+            MetricsCore.TASK_TYPES.forEach(task => {
+                const limit = rule.maxAHT[task.key];
+                if (limit === undefined || acc[`${task.prefix}Volume`] === 0) return;
+                checks.push({
+                    label: `${task.key} AHT (s)`,
+                    actual: ahtData[task.key],
+                    target: limit,
+                    passed: ahtData[task.key] <= limit
+                });
+            });
+
+            return { rule, scope: describeRuleScope(rule), days, checks };
+        }).filter(result => result && result.checks.length > 0);
+    }
+
+    // --- TARGET ATTAINMENT ---
+
+    /**
+     * Daily volume target for a normalized row: the last rule in the list that
+     * applies to the row and sets a daily volume wins, so later rules can
+     * override broader ones. Null when no rule sets a target.
+     * @param {Array} rules - Normalized rules.
+     */
+    function dailyVolumeTargetFor(rules, row) {
+        let target = null;
+        rules.forEach(rule => {
+            if (rule.dailyVolume !== null && ruleAppliesToRow(rule, row)) target = rule.dailyVolume;
+        });
+        return target;
+    }
+
+    // Current (ending at the latest tracked day) and longest runs of missed days
+    function belowTargetStreaks(days) {
+        let current = 0;
+        let longest = 0;
+        days.forEach(day => {
+            if (day.met === null) return;
+            current = day.met ? 0 : current + 1;
+            longest = Math.max(longest, current);
+        });
+        return { currentBelowStreak: current, longestBelowStreak: longest };
+    }
+
+    function attainmentPct(metDays, trackedDays) {
+        return trackedDays > 0 ? (metDays / trackedDays) * 100 : null;
+    }
+
+    /**
+     * Marks every employee-day as met or missed against its daily volume
+     * target and summarizes attainment per employee and per TL/team. Days
+     * without a target are listed but not tracked. Rows without a valid
+     * EMP ID are skipped.
+     * @param {Object} config - A rules configuration.
+     * @param {Array} data - Raw data rows.
+     * @returns {Object} {
+     *   employees: [{ empId, name, tl, team, days: [{ date, volume, target, met }],
+     *                 trackedDays, metDays, attainmentPct, currentBelowStreak, longestBelowStreak }],
+     *   tlTeams: [{ tl, team, employees, trackedDays, metDays, attainmentPct }]
+     * }
+     */
+    function calculateAttainment(config, data) {
+        const rules = config.rules.map(normalizeRule);
+        const employees = new Map();
+
+        data.forEach(item => {
+            const row = MetricsCore.normalizeRow(item);
+            if (!row.hasEmpId) return;
+
+            if (!employees.has(row.empId)) {
+                employees.set(row.empId, { empId: row.empId, name: row.employeeName || 'N/A', tl: row.tl, team: row.team, days: new Map() });
+            }
+            const employee = employees.get(row.empId);
+            // TL / team follow the latest row that has them
+            employee.tl = row.tl || employee.tl;
+            employee.team = row.team || employee.team;
+
+            if (!employee.days.has(row.date)) {
+                employee.days.set(row.date, { date: row.date, tl: row.tl, team: row.team, volume: 0, target: null });
+            }
+            const day = employee.days.get(row.date);
+            day.volume += row.totalVolume;
+            const target = dailyVolumeTargetFor(rules, row);
+            if (target !== null) day.target = target;
+        });
+
+        const tlTeams = new Map();
+        const employeeResults = Array.from(employees.values()).map(employee => {
+            const days = Array.from(employee.days.values())
+                .sort((a, b) => MetricsCore.parseDate(a.date) - MetricsCore.parseDate(b.date))
+                .map(day => ({ ...day, met: day.target === null ? null : day.volume >= day.target }));
+            const tracked = days.filter(day => day.met !== null);
+            const metDays = tracked.filter(day => day.met).length;
+
+            tracked.forEach(day => {
+                if (!day.tl || !day.team) return;
+                const key = `${day.tl}|${day.team}`;
+                if (!tlTeams.has(key)) {
+                    tlTeams.set(key, { tl: day.tl, team: day.team, employeeIds: new Set(), trackedDays: 0, metDays: 0 });
+                }
+                const group = tlTeams.get(key);
+                group.employeeIds.add(employee.empId);
+                group.trackedDays++;
+                if (day.met) group.metDays++;
+            });
+
+            return {
+                empId: employee.empId,
+                name: employee.name,
+                tl: employee.tl,
+                team: employee.team,
+                days,
+                trackedDays: tracked.length,
+                metDays,
+                attainmentPct: attainmentPct(metDays, tracked.length),
+                ...belowTargetStreaks(days)
+            };
+        });
+
+        return {
+            employees: employeeResults,
+            tlTeams: Array.from(tlTeams.values()).map(group => ({
+                tl: group.tl,
+                team: group.team,
+                employees: group.employeeIds.size,
+                trackedDays: group.trackedDays,
+                metDays: group.metDays,
+                attainmentPct: attainmentPct(group.metDays, group.trackedDays)
+            }))
+        };
+    }
+
+    /**
+     * Rolls an employee's attainment days up to ISO weeks or months. A period's
+     * target is the daily target scaled by its working days (the sum of the
+     * targets of the days worked under a target), and is met when the volume
+     * of those days reaches it. Per day the days are returned as they are.
+     * @param {Array} days - An employee's attainment days ({ date, volume, target, met }).
+     * @param {string} granularity - 'day', 'week' or 'month'.
+     * @returns {Array} [{ date (period label), volume, target, workingDays, met }] in date order.
+     */
+    function attainmentByPeriod(days, granularity) {
+        if (!granularity || granularity === 'day') {
+            return days.map(day => ({ ...day, workingDays: day.met === null ? 0 : 1 }));
+        }
+        const periods = new Map();
+        days.forEach(day => {
+            const period = MetricsCore.periodOf(MetricsCore.parseDate(day.date), granularity);
+            if (!periods.has(period.key)) {
+                periods.set(period.key, { key: period.key, date: period.label, volume: 0, target: null, workingDays: 0 });
+            }
+            if (day.met === null) return;
+            const entry = periods.get(period.key);
+            entry.volume += day.volume;
+            entry.target = (entry.target || 0) + day.target;
+            entry.workingDays++;
+        });
+        return Array.from(periods.values())
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(({ key, ...entry }) => ({ ...entry, met: entry.target === null ? null : entry.volume >= entry.target }));
+    }
+
+    return {
+        RULES_CONFIG_VERSION,
+        DEFAULT_RULES_CONFIG,
+        normalizeRule,
+        normalizeRulesConfig,
+        validateRulesConfig,
+        parseRulesConfig,
+        describeRuleScope,
+        ruleAppliesToRow,
+        evaluateRules,
+        dailyVolumeTargetFor,
+        calculateAttainment,
+        attainmentByPeriod
+    };
+}));
@@ -1,5 +1,4 @@
 let rawData = [];
-let charts = {}; // Object to store chart instances
 
 // Configuration for Chart.js
 const chartOptions = {
@@ -14,49 +13,6 @@ const chartOptions = {
     }
 };
 
-/**
- * Safely parses a date string in DD/MM/YYYY format.
- * Includes defensive coding to prevent TypeError if the input is not a string.
- * @param {string} dateString - The date string to parse (e.g., "01/11/2025").
- * @returns {Date | null} A Date object or null if parsing fails.
- */
-function parseDate(dateString) {
-    // === CRITICAL FIX START: Check if the input is a valid string ===
-    if (typeof dateString !== 'string' || dateString.trim() === '') {
-      // If it's not a string, or is just an empty string, return null 
-      // to indicate invalid data, preventing the TypeError.
-      console.warn('Invalid date value encountered:', dateString);
-      return null;
-    }
-    // === CRITICAL FIX END ===
-  
-    // Assuming the date format is DD/MM/YYYY based on the uploaded data
-    const parts = dateString.split('/');
-    
-    if (parts.length === 3) {
-      const day = parseInt(parts[0], 10);
-      const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed (Jan=0, Feb=1, etc.)
-      const year = parseInt(parts[2], 10);
-      
-      // Check for valid numbers
-      if (!isNaN(day) && !isNaN(month) && !isNaN(year)) {
-        return new Date(year, month, day);
-      }
-    }
-  
-    // Return null if the format or data is incorrect
-    return null;
-  }
-
-// Helper function to format a Date object into "YYYY-MM-DD" for the input field
-function formatDateForInput(date) {
-    if (!date) return '';
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
-
 // --- NEW ID USAGE CALCULATION ---
 
 /**
@@ -104,235 +60,51 @@ function calculateIDUsageMetrics(data) {
 }
 
 
-// --- MAIN METRICS CALCULATION ---
-
-function calculateMetrics(data) {
-    if (data.length === 0) {
-        return {
-            overallAHT: '0.00',
-            totalVolume: 0,
-            unassignedVolume: 0,
-            tlMetrics: [], // Now TL-Team specific
-            shiftMetrics: [],
-            ahtData: { 'Notification': 0, 'Room Status': 0, 'Zone Events': 0 }, 
-            volumeData: { 'Notification': 0, 'Room Status': 0, 'Zone Events': 0 },
-            employeeMetrics: [],
-            tlTeamMap: [] // Remains TL-specific
-        };
-    }
-
-    const tlMap = new Map(); // Used for TL/Team metrics (volume, AHT by Task)
-    const shiftMap = new Map();
-    const employeeMap = new Map(); 
-    const tlTeamMapRestore = new Map(); // Used specifically for generating the TL & Team Assignment table (tlTeamMap)
-    
-    let totalVolume = 0;
-    let totalWeightedTime = 0;
-    let unassignedVolume = 0;
-    
-    let sumAHTNotifGlobal = 0;
-    let sumAHTRoomGlobal = 0;
-    let sumAHTZoneGlobal = 0;
-
-    data.forEach(item => {
-        const totalNotif = parseInt(item['Total Notification']) || 0;
-        const totalRoom = parseInt(item['Total Room Update']) || 0;
-        const totalZone = parseInt(item['Total Zone Update']) || 0;
-        const ahtNotif = parseFloat(item['AHT - Notification']) || 0;
-        const ahtRoom = parseFloat(item['AHT - Room Status']) || 0;
-        const ahtZone = parseFloat(item['AHT - Zone Events']) || 0;
-
-        const dayVolume = totalNotif + totalRoom + totalZone;
-        const dayWeightedTime = 
-            (totalNotif * ahtNotif) +
-            (totalRoom * ahtRoom) +
-            (totalZone * ahtZone);
-        
-        totalVolume += dayVolume;
-        totalWeightedTime += dayWeightedTime;
-
-        sumAHTNotifGlobal += ahtNotif;
-        sumAHTRoomGlobal += ahtRoom;
-        sumAHTZoneGlobal += ahtZone;
-
-        // --- EMP ID Handling for Unassigned Work ---
-        const empId = item['EMP ID'] ? String(item['EMP ID']).trim() : '';
-
-        if (!empId || empId.toUpperCase() === '#N/A' || empId.toUpperCase() === 'N/A') {
-            unassignedVolume += dayVolume;
-        }
-        
-        // --- Employee Aggregation ---
-        if (empId && empId.toUpperCase() !== '#N/A' && empId.toUpperCase() !== 'N/A') {
-            const empKey = empId; 
-            const currentEmp = employeeMap.get(empKey) || {
-                name: item['Employee Name'] || 'N/A',
-                empId: empId,
-                team: item['Team'] || 'N/A', 
-                totalVolume: 0,
-                totalWeightedTime: 0,
-                notifVolume: 0,
-                notifWeightedTime: 0, 
-                roomVolume: 0,
-                roomWeightedTime: 0,  
-                zoneVolume: 0,
-                zoneWeightedTime: 0,  
-            };
-            
-            // Update team assignment (takes the team from the current row)
-            currentEmp.team = item['Team'] || currentEmp.team; 
-
-            currentEmp.totalVolume += dayVolume;
-            currentEmp.totalWeightedTime += dayWeightedTime;
-            
-            currentEmp.notifVolume += totalNotif;
-            currentEmp.notifWeightedTime += (totalNotif * ahtNotif); 
-            
-            currentEmp.roomVolume += totalRoom;
-            currentEmp.roomWeightedTime += (totalRoom * ahtRoom); 
-            
-            currentEmp.zoneVolume += totalZone;
-            currentEmp.zoneWeightedTime += (totalZone * ahtZone); 
-
-            employeeMap.set(empKey, currentEmp);
-        }
-
-
-        // --- TL/Team Aggregation (Composite Key: TL|Team) ---
-        const tl = item['TL'];
-        const team = item['Team'];
-        const teamStr = String(team); // Ensure team is a string for keying
-        
-        if (tl && teamStr && teamStr !== 'N/A' && teamStr !== 'null') {
-            // Composite Key for TL Metrics (to break down volume and AHT by team)
-            const tlTeamKey = `${tl}|${teamStr}`; 
-            
-            const currentTLTeam = tlMap.get(tlTeamKey) || { 
-                tl: tl,
-                team: teamStr, // Store team number
-                volume: 0, 
-                weightedTime: 0, 
-                count: 0, 
-                sumAHTNotif: 0,
-                sumAHTRoom: 0,
-                sumAHTZone: 0,
-            };
-
-            currentTLTeam.volume += dayVolume;
-            currentTLTeam.weightedTime += dayWeightedTime;
-            currentTLTeam.sumAHTNotif += ahtNotif;
-            currentTLTeam.sumAHTRoom += ahtRoom;
-            currentTLTeam.sumAHTZone += ahtZone;
-            currentTLTeam.count += 1;
-            
-            tlMap.set(tlTeamKey, currentTLTeam);
-        }
-        
-        // --- TL Team Map Restoration (TL-only aggregation for the assignment table) ---
-        if (tl) {
-            const currentTL = tlTeamMapRestore.get(tl) || { teams: new Set() };
-            if (teamStr && teamStr !== 'N/A' && teamStr !== 'null') {
-                currentTL.teams.add(teamStr);
-            }
-            tlTeamMapRestore.set(tl, currentTL);
-        }
-
-
-        // Shift Aggregation
-        const shift = item['Shift'];
-        const currentShift = shiftMap.get(shift) || { volume: 0 };
-        currentShift.volume += dayVolume;
-        shiftMap.set(shift, currentShift);
-    });
-
-    const overallAHT = totalVolume > 0 ? (totalWeightedTime / totalVolume).toFixed(2) : '0.00';
-    
-    // TL Metrics (Now TL-Team Breakdown)
-    const tlMetrics = Array.from(tlMap.values()).map(metrics => ({
-        tl: metrics.tl,
-        team: metrics.team, // Now includes the team number
-        volume: metrics.volume,
-        aht: metrics.volume > 0 ? (metrics.weightedTime / metrics.volume).toFixed(2) : '0.00',
-        ahtByTask: {
-            'Notification': metrics.count > 0 ? (metrics.sumAHTNotif / metrics.count) : 0,
-            'Room Status': metrics.count > 0 ? (metrics.sumAHTRoom / metrics.count) : 0,
-            'Zone Events': metrics.count > 0 ? (metrics.sumAHTZone / metrics.count) : 0,
-        }
-    }));
-    
-    // Employee Metrics
-    const employeeMetrics = Array.from(employeeMap.values()).map(emp => ({
-        ...emp,
-        overallAHT: emp.totalVolume > 0 ? (emp.totalWeightedTime / emp.totalVolume).toFixed(2) : '0.00',
-        // Calculate individual AHTs 
-        notifAHT: emp.notifVolume > 0 ? (emp.notifWeightedTime / emp.notifVolume).toFixed(2) : '0.00', 
-        roomAHT: emp.roomVolume > 0 ? (emp.roomWeightedTime / emp.roomVolume).toFixed(2) : '0.00',   
-        zoneAHT: emp.zoneVolume > 0 ? (emp.zoneWeightedTime / emp.zoneVolume).toFixed(2) : '0.00',   
-    })).sort((a, b) => b.totalVolume - a.totalVolume); 
-
-    // TL Team Map (Assignment Table - Aggregated by TL only)
-    const tlTeamMap = Array.from(tlTeamMapRestore.entries()).map(([tl, metrics]) => ({
-        tl,
-        // Sort teams numerically before joining
-        teams: Array.from(metrics.teams).sort((a, b) => parseInt(a) - parseInt(b)).join(', ') 
-    }));
-
-
-    // Global AHT (for KPIs)
-    const countGlobal = data.length;
-    const ahtData = {
-        'Notification': countGlobal > 0 ? (sumAHTNotifGlobal / countGlobal) : 0,
-        'Room Status': countGlobal > 0 ? (sumAHTRoomGlobal / countGlobal) : 0,
-        'Zone Events': countGlobal > 0 ? (sumAHTZoneGlobal / countGlobal) : 0,
-    };
-
-    // Volume by Task Type (Global Sum)
-    const volumeData = {
-        'Notification': data.reduce((sum, item) => sum + (parseInt(item['Total Notification']) || 0), 0),
-        'Room Status': data.reduce((sum, item) => sum + (parseInt(item['Total Room Update']) || 0), 0),
-        'Zone Events': data.reduce((sum, item) => sum + (parseInt(item['Total Zone Update']) || 0), 0),
-    };
+// --- CHART & TABLE RENDERING FUNCTIONS ---
 
-    return {
-        overallAHT,
-        totalVolume,
-        unassignedVolume, 
-        tlMetrics,
-        shiftMetrics: Array.from(shiftMap.entries()).map(([shift, metrics]) => ({ shift, volume: metrics.volume })),
-        ahtData, 
-        volumeData,
-        employeeMetrics,
-        tlTeamMap 
-    };
+/**
+ * Returns true when the "AHT by Task" toggle is set to the simple (row) mean
+ * instead of the default volume-weighted AHT.
+ */
+function isSimpleMeanAHT() {
+    const toggle = document.getElementById('ahtModeFilter');
+    return toggle ? toggle.value === 'simple' : false;
 }
 
-// --- CHART & TABLE RENDERING FUNCTIONS ---
-
-function updateKPIs(metrics) {
+/**
+ * @param {Object} metrics - Metrics of the filtered data.
+ * @param {Object|null} comparisonMetrics - Same filters over the comparison period, or null.
+ */
+function updateKPIs(metrics, comparisonMetrics) {
     document.getElementById('kpiVolume').innerText = (metrics.totalVolume || 0).toLocaleString();
     document.getElementById('kpiAHT').innerText = metrics.overallAHT || '0.00';
     
-    const avgNotifAHT = (metrics.ahtData && metrics.ahtData['Notification']) ? metrics.ahtData['Notification'].toFixed(2) : '0.00';
+    const ahtKey = isSimpleMeanAHT() ? 'ahtDataSimple' : 'ahtData';
+    const ahtData = metrics[ahtKey];
+
+    const avgNotifAHT = (ahtData && ahtData['Notification']) ? ahtData['Notification'].toFixed(2) : '0.00';
     document.getElementById('kpiNotifAHT').innerText = avgNotifAHT; 
 
-    const avgRoomAHT = (metrics.ahtData && metrics.ahtData['Room Status']) ? metrics.ahtData['Room Status'].toFixed(2) : '0.00';
+    const avgRoomAHT = (ahtData && ahtData['Room Status']) ? ahtData['Room Status'].toFixed(2) : '0.00';
     document.getElementById('kpiRoomAHT').innerText = avgRoomAHT;
     
-    const avgZoneAHT = (metrics.ahtData && metrics.ahtData['Zone Events']) ? metrics.ahtData['Zone Events'].toFixed(2) : '0.00';
+    const avgZoneAHT = (ahtData && ahtData['Zone Events']) ? ahtData['Zone Events'].toFixed(2) : '0.00';
     document.getElementById('kpiZoneAHT').innerText = avgZoneAHT;
 
     document.getElementById('kpiUnassigned').innerText = (metrics.unassignedVolume || 0).toLocaleString();
-}
-
-function createChart(chartId, type, data, options) {
-    if (charts[chartId]) {
-        charts[chartId].destroy(); 
-    }
-    const ctx = document.getElementById(chartId);
-    if (ctx) { 
-        const context = ctx.getContext('2d');
-        charts[chartId] = new Chart(context, { type, data, options });
-    }
+    document.getElementById('kpiMixIndex').innerText = formatMixIndex(metrics.mixAdjustedIndex);
+
+    // Changes from the comparison period (cleared when not comparing)
+    const previous = comparisonMetrics || {};
+    const previousAHT = previous[ahtKey] || {};
+    const ahtOptions = { lowerIsBetter: true, decimals: 2 };
+    setKPIDelta('kpiVolume', metrics.totalVolume || 0, previous.totalVolume);
+    setKPIDelta('kpiAHT', parseFloat(metrics.overallAHT) || 0, comparisonMetrics ? parseFloat(previous.overallAHT) || 0 : undefined, ahtOptions);
+    setKPIDelta('kpiNotifAHT', ahtData['Notification'] || 0, previousAHT['Notification'], ahtOptions);
+    setKPIDelta('kpiRoomAHT', ahtData['Room Status'] || 0, previousAHT['Room Status'], ahtOptions);
+    setKPIDelta('kpiZoneAHT', ahtData['Zone Events'] || 0, previousAHT['Zone Events'], ahtOptions);
+    setKPIDelta('kpiUnassigned', metrics.unassignedVolume || 0, previous.unassignedVolume, { lowerIsBetter: true });
+    setKPIDelta('kpiMixIndex', metrics.mixAdjustedIndex, metrics.mixAdjustedIndex === null ? null : previous.mixAdjustedIndex, ahtOptions);
 }
 
 function renderVolumeByTask(metrics) {
@@ -349,22 +121,50 @@ function renderVolumeByTask(metrics) {
         plugins: {
             legend: { position: 'top' },
             title: { display: false }
-        }
+        },
+        // Clicking a slice filters the page to that task type
+        onClick: (event, elements) => {
+            if (elements.length > 0) toggleSelectFilter('taskFilter', labels[elements[0].index]);
+        },
+        onHover: pointerOnHover
     });
 }
 
+// Measures of the TL volume chart: raw volume, or normalized by the team's
+// headcount / employee-days so bigger teams are not favoured
+const TL_VOLUME_METRICS = {
+    volume: { label: 'Total Volume', value: m => m.volume },
+    volumePerHead: { label: 'Volume per Active Employee', value: m => m.volumePerHead },
+    volumePerEmployeeDay: { label: 'Volume per Employee-Day', value: m => m.volumePerEmployeeDay },
+    handleTimePerEmployeeDay: { label: 'Handle Time per Employee-Day (h)', value: m => m.handleTimePerEmployeeDay / 3600 }
+};
+
 /**
  * UPDATED: Now shows a separate bar for each team managed by a TL.
+ * With a comparison period, each TL/team also gets a comparison bar and its
+ * % change in the label.
  */
-function renderTLVolume(metrics) {
+function renderTLVolume(metrics, comparisonMetrics) {
+    const metricSelect = document.getElementById('tlVolumeMetric');
+    const measure = TL_VOLUME_METRICS[metricSelect ? metricSelect.value : 'volume'];
+    const comparisonValues = new Map((comparisonMetrics ? comparisonMetrics.tlMetrics : []).map(m => [`${m.tl}|${m.team}`, measure.value(m)]));
+
     // The metrics.tlMetrics now contains objects with { tl, team, volume, ... }
-    const tlTeamVolumeData = metrics.tlMetrics.map(m => ({
-        // Create the composite label
-        label: `${m.tl} (Team ${m.team})`, 
-        volume: m.volume,
-        tl: m.tl,
-        team: m.team
-    }));
+    const tlTeamVolumeData = metrics.tlMetrics.map(m => {
+        const value = measure.value(m);
+        const previousValue = comparisonValues.get(`${m.tl}|${m.team}`);
+        const change = MetricsCore.percentChange(value, previousValue);
+        return {
+            // Create the composite label
+            label: comparisonMetrics
+                ? `${m.tl} (Team ${m.team}) ${change === null ? 'new' : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`}`
+                : `${m.tl} (Team ${m.team})`,
+            value,
+            previousValue: previousValue || 0,
+            tl: m.tl,
+            team: m.team
+        };
+    });
     
     // Primary sort: by TL name (A-Z)
     // Secondary sort: by Team number (ascending)
@@ -384,22 +184,36 @@ function renderTLVolume(metrics) {
          canvas.style.height = `${calculatedHeight}px`;
     }
 
+    const datasets = [{
+        label: measure.label,
+        data: allTLs.map(m => m.value),
+        backgroundColor: '#17a2b8',
+    }];
+    if (comparisonMetrics) {
+        datasets.push({
+            label: 'Comparison Period',
+            data: allTLs.map(m => m.previousValue),
+            backgroundColor: '#adb5bd',
+        });
+    }
+
     createChart('tlVolumeChart', 'bar', {
         labels: allTLs.map(m => m.label), // Use the new composite label
-        datasets: [{
-            label: 'Total Volume',
-            data: allTLs.map(m => m.volume),
-            backgroundColor: '#17a2b8',
-        }]
+        datasets
     }, {
         indexAxis: 'y',
         responsive: true,
         maintainAspectRatio: false, 
-        plugins: { legend: { display: false } },
+        plugins: { legend: { display: Boolean(comparisonMetrics) } },
         scales: {
             x: { beginAtZero: true },
             y: { autoSkip: false } 
-        }
+        },
+        // Clicking a bar focuses the page on that TL and team
+        onClick: (event, elements) => {
+            if (elements.length > 0) drillDownToTL(allTLs[elements[0].index]);
+        },
+        onHover: pointerOnHover
     });
 }
 
@@ -467,7 +281,12 @@ function renderShiftVolume(metrics) {
         plugins: {
             legend: { position: 'top' },
             title: { display: false }
-        }
+        },
+        // Clicking a slice filters the page to that shift
+        onClick: (event, elements) => {
+            if (elements.length > 0) toggleSelectFilter('shiftFilter', shiftLabels[elements[0].index]);
+        },
+        onHover: pointerOnHover
     });
 }
 
@@ -481,12 +300,20 @@ function renderTLTeamMap(tlTeamMap) {
     
     const sortedMap = tlTeamMap.sort((a, b) => a.tl.localeCompare(b.tl));
 
+    // Wide with the productivity columns, so it scrolls inside the narrow card
     let contentHTML = `
+        <div style="overflow-x: auto;">
         <table class="tl-team-table">
             <thead>
                 <tr>
                     <th>Team Leader</th>
                     <th>Team Number(s)</th>
+                    <th>Total Volume</th>
+                    <th>Active Employees</th>
+                    <th>Employee-Days</th>
+                    <th>Volume / Employee</th>
+                    <th>Volume / Employee-Day</th>
+                    <th>Handle Time / Employee-Day (h)</th>
                 </tr>
             </thead>
             <tbody>
@@ -497,11 +324,17 @@ function renderTLTeamMap(tlTeamMap) {
             <tr>
                 <td>${item.tl || 'N/A'}</td>
                 <td>${item.teams || 'N/A'}</td>
+                <td>${item.volume.toLocaleString()}</td>
+                <td>${item.headcount}</td>
+                <td>${item.employeeDays}</td>
+                <td>${item.volumePerHead.toFixed(1)}</td>
+                <td>${item.volumePerEmployeeDay.toFixed(1)}</td>
+                <td>${(item.handleTimePerEmployeeDay / 3600).toFixed(2)}</td>
             </tr>
         `;
     });
     
-    contentHTML += `</tbody></table>`;
+    contentHTML += `</tbody></table></div>`;
     
     container.innerHTML = `<h2>Team Leader & Team Assignment</h2>` + contentHTML;
 }
@@ -520,13 +353,15 @@ function renderTLAHTChart(tlMetric) {
     `;
     container.appendChild(chartCard);
 
-    const labels = Object.keys(tlMetric.ahtByTask);
-    const data = Object.values(tlMetric.ahtByTask).map(aht => aht.toFixed(2));
+    const simpleMean = isSimpleMeanAHT();
+    const ahtByTask = simpleMean ? tlMetric.ahtByTaskSimple : tlMetric.ahtByTask;
+    const labels = Object.keys(ahtByTask);
+    const data = Object.values(ahtByTask).map(aht => aht.toFixed(2));
     
     createChart(chartId, 'bar', {
         labels: labels,
         datasets: [{
-            label: 'Avg AHT (s)',
+            label: simpleMean ? 'Simple Mean AHT (s)' : 'Weighted AHT (s)',
             data: data,
             backgroundColor: ['#dc3545', '#ff851b', '#0097a7'],
         }]
@@ -561,10 +396,137 @@ function renderAllTLAHTCharts(metrics) {
     });
 }
 
-function renderEmployeePerformanceTable(metrics, selectedTL, selectedTeam) {
-    const container = document.getElementById('employeeDetailsContainer');
+// --- TARGET ATTAINMENT ---
+
+// Attainment column text, e.g. "80.0% (8/10 days)"
+function formatAttainment(attainment) {
+    if (!attainment || attainment.attainmentPct === null) return 'No target';
+    return `${attainment.attainmentPct.toFixed(1)}% (${attainment.metDays}/${attainment.trackedDays} days)`;
+}
+
+/**
+ * Renders daily target attainment per TL / team (employee-days at or above
+ * their daily volume target).
+ */
+function renderTLTeamAttainment(attainment) {
+    const container = document.getElementById('tlTeamAttainmentContent');
+    if (!container) return;
+
+    const groups = attainment.tlTeams.slice().sort((a, b) => {
+        const tlCompare = a.tl.localeCompare(b.tl);
+        if (tlCompare !== 0) return tlCompare;
+        return parseInt(a.team) - parseInt(b.team);
+    });
+
+    if (groups.length === 0) {
+        container.innerHTML = '<p>No daily volume targets apply to the selected data (see Targets &amp; Rules on the Employee Dashboard).</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="tl-team-table">
+            <thead>
+                <tr>
+                    <th>Team Leader</th>
+                    <th>Team</th>
+                    <th>Employees</th>
+                    <th>Days Met / Tracked</th>
+                    <th>Attainment %</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => `
+                    <tr>
+                        <td>${escapeHTML(group.tl)}</td>
+                        <td>${escapeHTML(group.team)}</td>
+                        <td>${group.employees}</td>
+                        <td>${group.metDays} / ${group.trackedDays}</td>
+                        <td>${group.attainmentPct.toFixed(1)}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Sort value of an AHT column; null for employees without volume in that task
+function ahtSortValue(row, field, volumeField) {
+    return row[volumeField] > 0 ? parseFloat(row[field]) : null;
+}
+
+// AHT cell with the change from the comparison period
+function ahtCellHTML(row, field) {
+    const previous = row.previous[field] === undefined ? undefined : parseFloat(row.previous[field]);
+    return `${row[field]} ${deltaHTML(parseFloat(row[field]), previous, { lowerIsBetter: true, decimals: 2 })}`;
+}
+
+// Columns of the employee performance table (rows: employee metrics with `attainment` and `previous`)
+const EMPLOYEE_TABLE_COLUMNS = [
+    { key: 'name', label: 'Employee Name', type: 'text', hideable: false, html: row => escapeHTML(row.name || 'N/A') },
+    { key: 'empId', label: 'EMP ID', type: 'text', html: row => escapeHTML(row.empId || 'N/A') },
+    { key: 'team', label: 'Team', type: 'text', value: row => row.team || 'N/A', html: row => escapeHTML(row.team || 'N/A') },
+    { key: 'totalVolume', label: 'Total Volume', html: row => `${row.totalVolume.toLocaleString()} ${deltaHTML(row.totalVolume, row.previous.totalVolume)}` },
+    { key: 'overallAHT', label: 'Overall AHT (s)', value: row => ahtSortValue(row, 'overallAHT', 'totalVolume'), html: row => ahtCellHTML(row, 'overallAHT'), exportValue: row => numberCell(row.overallAHT) },
+    { key: 'notifVolume', label: 'Notification Volume', html: row => row.notifVolume.toLocaleString() },
+    { key: 'roomVolume', label: 'Room Status Volume', html: row => row.roomVolume.toLocaleString() },
+    { key: 'zoneVolume', label: 'Zone Event Volume', html: row => row.zoneVolume.toLocaleString() },
+    { key: 'notifAHT', label: 'Notification AHT (s)', value: row => ahtSortValue(row, 'notifAHT', 'notifVolume'), html: row => ahtCellHTML(row, 'notifAHT'), exportValue: row => numberCell(row.notifAHT) },
+    { key: 'roomAHT', label: 'Room Status AHT (s)', value: row => ahtSortValue(row, 'roomAHT', 'roomVolume'), html: row => ahtCellHTML(row, 'roomAHT'), exportValue: row => numberCell(row.roomAHT) },
+    { key: 'zoneAHT', label: 'Zone Event AHT (s)', value: row => ahtSortValue(row, 'zoneAHT', 'zoneVolume'), html: row => ahtCellHTML(row, 'zoneAHT'), exportValue: row => numberCell(row.zoneAHT) },
+    {
+        key: 'mixAdjustedIndex',
+        label: 'Mix-Adjusted AHT Index',
+        html: row => `${formatMixIndex(row.mixAdjustedIndex)} ${row.mixAdjustedIndex === null ? '' : deltaHTML(row.mixAdjustedIndex, row.previous.mixAdjustedIndex, { lowerIsBetter: true, decimals: 2 })}`,
+        exportValue: row => numberCell(row.mixAdjustedIndex)
+    },
+    {
+        key: 'attainmentPct',
+        label: 'Target Attainment',
+        value: row => (row.attainment && row.attainment.attainmentPct !== null ? row.attainment.attainmentPct : null),
+        html: row => formatAttainment(row.attainment),
+        exportValue: row => formatAttainment(row.attainment)
+    },
+    {
+        key: 'currentBelowStreak',
+        label: 'Days Below Target (current / longest run)',
+        value: row => (row.attainment && row.attainment.trackedDays > 0 ? row.attainment.currentBelowStreak : null),
+        html: row => (row.attainment && row.attainment.trackedDays > 0
+            ? `${row.attainment.currentBelowStreak} / ${row.attainment.longestBelowStreak}`
+            : '-'),
+        exportValue: row => (row.attainment && row.attainment.trackedDays > 0
+            ? `${row.attainment.currentBelowStreak} / ${row.attainment.longestBelowStreak}`
+            : '')
+    },
+    {
+        // TL / team assignments over the dates (across all TLs), for employees who moved
+        key: 'transfers',
+        label: 'Transfers',
+        value: row => (row.assignments.length > 1 ? row.assignments.length - 1 : null),
+        html: row => (row.assignments.length > 1 ? assignmentHistoryHTML(row.assignments) : '-'),
+        exportValue: row => (row.assignments.length > 1 ? row.assignments.map(assignmentText).join(' → ') : '')
+    },
+];
+
+/**
+ * @param {Object} metrics - TL metrics of the filtered data.
+ * @param {string} selectedTL
+ * @param {string} selectedTeam
+ * @param {Map} attainmentByEmpId - RulesCore.calculateAttainment employees, keyed by EMP ID.
+ * @param {Object|null} comparisonMetrics - Same filters over the comparison period, or null.
+ * @param {Map} assignmentsByEmpId - MetricsCore.employeeAssignments of all TLs' rows.
+ */
+function renderEmployeePerformanceTable(metrics, selectedTL, selectedTeam, attainmentByEmpId, comparisonMetrics, assignmentsByEmpId) {
+    const container = document.getElementById('employeeTableContainer');
     const titleElement = document.getElementById('employeeDetailTitle');
-    const data = metrics.employeeMetrics;
+
+    // Deltas are only shown for employees who also worked in the comparison period
+    const comparisonByEmpId = new Map((comparisonMetrics ? comparisonMetrics.employeeMetrics : []).map(emp => [emp.empId, emp]));
+    const data = metrics.employeeMetrics.map(emp => ({
+        ...emp,
+        attainment: attainmentByEmpId.get(emp.empId),
+        previous: comparisonByEmpId.get(emp.empId) || {},
+        assignments: assignmentsByEmpId.get(emp.empId) || emp.assignments
+    }));
 
     if (data.length === 0) {
         let titleText = "No employee data available for the selected date range/filters.";
@@ -574,7 +536,7 @@ function renderEmployeePerformanceTable(metrics, selectedTL, selectedTeam) {
             titleText = `No employee data found for Team Leader: ${selectedTL} in the selected range.`;
         }
         titleElement.textContent = titleText;
-        container.querySelector('.employee-table')?.remove(); 
+        clearDataTable('employeePerformanceTable');
         return;
     }
 
@@ -588,52 +550,124 @@ function renderEmployeePerformanceTable(metrics, selectedTL, selectedTeam) {
     }
     titleElement.textContent = headerText;
 
-    let tableHTML = `
-        <table class="employee-table">
-            <thead>
-                <tr>
-                    <th>Employee Name</th>
-                    <th>EMP ID</th>
-                    <th>Team</th>
-                    <th>Total Volume</th>
-                    <th>Overall AHT (s)</th>
-                    <th>Notification Volume</th>
-                    <th>Room Status Volume</th>
-                    <th>Zone Event Volume</th>
-                    <th>Notification AHT (s)</th>
-                    <th>Room Status AHT (s)</th>
-                    <th>Zone Event AHT (s)</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
-
-    data.forEach(emp => {
-        tableHTML += `
-            <tr>
-                <td>${emp.name || 'N/A'}</td>
-                <td>${emp.empId || 'N/A'}</td>
-                <td>${emp.team || 'N/A'}</td>
-                <td>${emp.totalVolume.toLocaleString()}</td>
-                <td>${emp.overallAHT}</td>
-                <td>${emp.notifVolume.toLocaleString()}</td>
-                <td>${emp.roomVolume.toLocaleString()}</td>
-                <td>${emp.zoneVolume.toLocaleString()}</td>
-                <td>${emp.notifAHT}</td>
-                <td>${emp.roomAHT}</td>
-                <td>${emp.zoneAHT}</td>
-            </tr>
-        `;
+    // Rows keep the volume order until a header is clicked
+    renderDataTable(container, 'employeePerformanceTable', EMPLOYEE_TABLE_COLUMNS, data, {
+        className: 'employee-table',
+        searchText: emp => `${emp.name || ''} ${emp.empId || ''}`,
+        searchPlaceholder: 'Search name or EMP ID…',
+        // Rows of identified employees open the Employee Dashboard (see openEmployeeDashboard)
+        rowAttributes: emp => (MetricsCore.isValidEmpId(emp.empId)
+            ? `class="drill-down-row" data-emp-id="${escapeHTML(emp.empId)}" title="Open in the Employee Dashboard"`
+            : '')
     });
+}
 
-    tableHTML += `</tbody></table>`;
-    
-    let existingTable = container.querySelector('.employee-table');
-    if (existingTable) {
-        existingTable.outerHTML = tableHTML;
-    } else {
-        container.insertAdjacentHTML('beforeend', tableHTML);
+// --- ANOMALIES ---
+
+// Formats a measured value; null (no typical value) as '-'
+function formatAnomalyValue(value) {
+    return value === null ? '-' : Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+}
+
+// Columns of the anomalies table; the most severe come first by default
+const ANOMALY_COLUMNS = [
+    { key: 'date', label: 'Date', value: anomaly => MetricsCore.parseDate(anomaly.date).getTime(), html: anomaly => escapeHTML(anomaly.date), exportValue: anomaly => anomaly.date },
+    { key: 'name', label: 'Employee', type: 'text', hideable: false, html: anomaly => `${escapeHTML(anomaly.name)} (${escapeHTML(anomaly.empId)})`, exportValue: anomaly => `${anomaly.name} (${anomaly.empId})` },
+    { key: 'tl', label: 'TL / Team', type: 'text', value: anomaly => `${anomaly.tl}|${anomaly.team}`, html: anomaly => `${escapeHTML(anomaly.tl)} (Team ${escapeHTML(anomaly.team)})`, exportValue: anomaly => `${anomaly.tl} (Team ${anomaly.team})` },
+    { key: 'metric', label: 'Metric', type: 'text' },
+    { key: 'value', label: 'Value', html: anomaly => formatAnomalyValue(anomaly.value), exportValue: anomaly => numberCell(anomaly.value) },
+    { key: 'expected', label: 'Typical', html: anomaly => formatAnomalyValue(anomaly.expected), exportValue: anomaly => numberCell(anomaly.expected) },
+    { key: 'score', label: 'Severity', html: anomaly => anomaly.score.toFixed(1), exportValue: anomaly => numberCell(anomaly.score, 1) },
+    { key: 'basis', label: 'Compared To', type: 'text' },
+    { key: 'description', label: 'Details', type: 'text' },
+];
+
+/**
+ * Renders the anomalies found in the filtered data (see anomaly_core.js).
+ * Rows open the employee in the Employee Dashboard.
+ */
+function renderAnomalies(anomalies) {
+    const summary = document.getElementById('anomaliesSummary');
+    const container = document.getElementById('anomaliesTableContainer');
+    if (!summary || !container) return;
+
+    if (anomalies.length === 0) {
+        summary.textContent = 'No anomalies found in the selected data.';
+        clearDataTable('anomaliesTable');
+        return;
     }
+
+    summary.textContent = `${anomalies.length.toLocaleString()} anomalies found. Employee-days far from the employee's own baseline or their team's range, and suspicious value combinations.`;
+    renderDataTable(container, 'anomaliesTable', ANOMALY_COLUMNS, anomalies, {
+        className: 'employee-table anomaly-table',
+        searchText: anomaly => `${anomaly.name} ${anomaly.empId} ${anomaly.metric} ${anomaly.description}`,
+        searchPlaceholder: 'Search employee, EMP ID or metric…',
+        rowAttributes: anomaly => `class="drill-down-row" data-emp-id="${escapeHTML(anomaly.empId)}" title="Open in the Employee Dashboard"`
+    });
+}
+
+// --- TRENDS ---
+
+// Line colours, reused in order when there are more series
+const TREND_SERIES_COLORS = ['#007bff', '#28a745', '#ffc107', '#dc3545', '#17a2b8', '#6f42c1', '#fd7e14', '#20c997', '#e83e8c', '#6c757d'];
+
+// Trend charts: canvas id, the period field plotted and the volume it is measured on
+const TREND_CHARTS = [
+    { chartId: 'trendVolumeChart', field: 'totalVolume' },
+    { chartId: 'trendOverallAHTChart', field: 'overallAHT', volumeField: 'totalVolume' },
+    ...MetricsCore.TASK_TYPES.map(task => ({
+        chartId: `trend${task.prefix.charAt(0).toUpperCase()}${task.prefix.slice(1)}AHTChart`,
+        field: `${task.prefix}AHT`,
+        volumeField: `${task.prefix}Volume`
+    }))
+];
+
+// Series a row is plotted in for the "Lines" selector
+const TREND_SPLITS = {
+    none: null,
+    tl: row => row.tl || 'Unassigned',
+    team: row => `${row.tl || 'Unassigned'} (Team ${row.team || 'N/A'})`
+};
+
+/**
+ * Daily / weekly / monthly volume and weighted AHT per task type, as one
+ * line for the selection or one line per TL or TL & team.
+ * @param {Array} data - The TL/team filtered rows.
+ */
+function renderTrends(data) {
+    const granularity = document.getElementById('trendGranularity').value;
+    const split = document.getElementById('trendSplit').value;
+    const { periods, series } = MetricsCore.aggregateByPeriod(data, granularity, TREND_SPLITS[split]);
+
+    TREND_CHARTS.forEach(chart => {
+        const datasets = series.map((line, index) => {
+            const color = TREND_SERIES_COLORS[index % TREND_SERIES_COLORS.length];
+            return {
+                label: split === 'none' ? 'Current selection' : line.name,
+                // AHT gaps where the period had no volume to measure it on
+                data: periods.map(period => {
+                    const point = line.points.get(period.key);
+                    if (!point) return chart.volumeField ? null : 0;
+                    if (chart.volumeField && !(point[chart.volumeField] > 0)) return null;
+                    return parseFloat(point[chart.field]);
+                }),
+                borderColor: color,
+                backgroundColor: color,
+                tension: 0.1,
+                pointRadius: periods.length > 60 ? 0 : 3
+            };
+        });
+
+        createChart(chart.chartId, 'line', {
+            labels: periods.map(period => period.label),
+            datasets
+        }, {
+            ...chartOptions,
+            plugins: { legend: { display: split !== 'none', position: 'top' } },
+            interaction: { mode: 'index', intersect: false },
+            scales: { ...chartOptions.scales, y: { ...chartOptions.scales.y, beginAtZero: true } }
+        });
+    });
 }
 
 /**
@@ -739,73 +773,498 @@ function populateTeamFilter(tl, data) {
     }
 }
 
+/**
+ * Populates the Shift filter from the date-filtered data, keeping the current
+ * selection when that shift is still present.
+ */
+function populateShiftFilter(data) {
+    const filter = document.getElementById('shiftFilter');
+    const currentSelectedShift = filter.value;
+    const shifts = MetricsCore.aggregateByShift(data).map(m => m.shift).sort();
+
+    filter.innerHTML = '<option value="all">All Shifts</option>';
+    shifts.forEach(shift => {
+        const option = document.createElement('option');
+        option.value = shift;
+        option.textContent = shift;
+        filter.appendChild(option);
+    });
+
+    filter.value = shifts.includes(currentSelectedShift) ? currentSelectedShift : 'all';
+}
+
 function populateDateFilters(data) {
-    const dateElements = data.map(item => parseDate(item['Date'])).filter(d => d && !isNaN(d));
+    const dateElements = data.map(item => MetricsCore.parseDate(item['Date'])).filter(d => d && !isNaN(d));
     if (dateElements.length === 0) return;
 
     const minDate = new Date(Math.min(...dateElements));
     const maxDate = new Date(Math.max(...dateElements));
 
-    document.getElementById('startDateFilter').value = formatDateForInput(minDate);
-    document.getElementById('endDateFilter').value = formatDateForInput(maxDate);
+    document.getElementById('startDateFilter').value = MetricsCore.formatDateForInput(minDate);
+    document.getElementById('endDateFilter').value = MetricsCore.formatDateForInput(maxDate);
+}
+
+// --- SHIFT ANALYTICS ---
+
+// Task colours, in MetricsCore.TASK_TYPES order (as in the Volume by Task chart)
+const SHIFT_TASK_COLORS = ['#007bff', '#28a745', '#ffc107'];
+
+const SHIFT_BREAKDOWN_COLUMNS = [
+    { key: 'shift', label: 'Shift', type: 'text', hideable: false },
+    { key: 'volume', label: 'Total Volume', html: shift => shift.volume.toLocaleString() },
+    { key: 'headcount', label: 'Headcount', html: shift => shift.headcount.toLocaleString() },
+    { key: 'volumePerHead', label: 'Volume / Head', html: shift => shift.volumePerHead.toFixed(1), exportValue: shift => numberCell(shift.volumePerHead, 1) },
+    { key: 'overallAHT', label: 'Overall AHT (s)', value: shift => parseFloat(shift.overallAHT), exportValue: shift => numberCell(shift.overallAHT) },
+    ...MetricsCore.TASK_TYPES.map(task => ({
+        key: `${task.prefix}AHT`,
+        label: `${task.key} AHT (s)`,
+        value: shift => parseFloat(shift[`${task.prefix}AHT`]),
+        exportValue: shift => numberCell(shift[`${task.prefix}AHT`])
+    })),
+    ...MetricsCore.TASK_TYPES.map(task => ({
+        key: `${task.prefix}Mix`,
+        label: `${task.key} Mix (%)`,
+        value: shift => shift.taskMix[task.key],
+        html: shift => `${shift.taskMix[task.key].toFixed(1)}%`,
+        exportValue: shift => numberCell(shift.taskMix[task.key], 1)
+    }))
+];
+
+// Heatmap metrics: value of a TL × shift cell (null when it cannot be measured)
+// and whether a higher value is the better one
+const SHIFT_HEATMAP_METRICS = {
+    overallAHT: { value: cell => (cell.totalVolume > 0 ? parseFloat(cell.overallAHT) : null), higherIsBetter: false, format: value => value.toFixed(2) },
+    ...Object.fromEntries(MetricsCore.TASK_TYPES.map(task => [`${task.prefix}AHT`, {
+        value: cell => (cell[`${task.prefix}Volume`] > 0 ? parseFloat(cell[`${task.prefix}AHT`]) : null),
+        higherIsBetter: false,
+        format: value => value.toFixed(2)
+    }])),
+    volumePerHead: { value: cell => (cell.headcount > 0 ? cell.volumePerHead : null), higherIsBetter: true, format: value => value.toFixed(1) },
+    volume: { value: cell => cell.volume, higherIsBetter: true, format: value => value.toLocaleString() },
+    headcount: { value: cell => cell.headcount, higherIsBetter: true, format: value => value.toLocaleString() }
+};
+
+/**
+ * Background of a heatmap cell: green for the best value of the matrix, red
+ * for the worst.
+ */
+function heatmapColor(value, min, max, higherIsBetter) {
+    const position = max > min ? (value - min) / (max - min) : 0.5;
+    const goodness = higherIsBetter ? position : 1 - position;
+    return `hsl(${Math.round(goodness * 120)}, 65%, 82%)`;
+}
+
+/**
+ * Per-shift breakdown of the selection: volume, headcount (unique EMP IDs),
+ * volume per head, weighted AHT and task mix per shift.
+ * @param {Array} shiftMetrics - MetricsCore.calculateShiftMetrics() entries.
+ */
+function renderShiftBreakdown(shiftMetrics) {
+    const container = document.getElementById('shiftBreakdownTableContainer');
+    if (!container) return;
+
+    renderDataTable(container, 'shiftBreakdownTable', SHIFT_BREAKDOWN_COLUMNS, shiftMetrics, {
+        className: 'employee-table',
+        emptyMessage: 'No shift data available for the current filters.'
+    });
+
+    const labels = shiftMetrics.map(shift => shift.shift);
+    const clickToFilter = {
+        // Clicking a shift filters the page to it
+        onClick: (event, elements) => {
+            if (elements.length > 0) toggleSelectFilter('shiftFilter', labels[elements[0].index]);
+        },
+        onHover: pointerOnHover
+    };
+
+    createChart('shiftAHTChart', 'bar', {
+        labels,
+        datasets: MetricsCore.TASK_TYPES.map((task, index) => ({
+            label: task.key,
+            // No bar where the shift had none of that task
+            data: shiftMetrics.map(shift => (shift[`${task.prefix}Volume`] > 0 ? shift.ahtByTask[task.key] : null)),
+            backgroundColor: SHIFT_TASK_COLORS[index]
+        }))
+    }, { ...chartOptions, ...clickToFilter });
+
+    createChart('shiftTaskMixChart', 'bar', {
+        labels,
+        datasets: MetricsCore.TASK_TYPES.map((task, index) => ({
+            label: task.key,
+            data: shiftMetrics.map(shift => shift.taskMix[task.key]),
+            backgroundColor: SHIFT_TASK_COLORS[index]
+        }))
+    }, {
+        ...chartOptions,
+        ...clickToFilter,
+        plugins: {
+            ...chartOptions.plugins,
+            tooltip: { callbacks: { label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%` } }
+        },
+        scales: {
+            x: { ...chartOptions.scales.x, stacked: true },
+            y: { ...chartOptions.scales.y, stacked: true, min: 0, max: 100 }
+        }
+    });
+}
+
+/**
+ * Team Leader × shift heatmap of the selected metric, coloured from the best
+ * (green) to the worst (red) cell. Clicking a cell focuses the page on that
+ * TL and shift.
+ * @param {Object} matrix - MetricsCore.calculateTLShiftMatrix() result.
+ */
+function renderShiftHeatmap(matrix) {
+    const container = document.getElementById('shiftHeatmapContainer');
+    if (!container) return;
+
+    if (matrix.tls.length === 0) {
+        container.innerHTML = '<p style="color: #777;">No Team Leader shift data available for the current filters.</p>';
+        return;
+    }
+
+    const select = document.getElementById('shiftHeatmapMetric');
+    const metric = SHIFT_HEATMAP_METRICS[select.value];
+    const label = select.options[select.selectedIndex].text;
+    const values = Array.from(matrix.cells.values()).map(metric.value).filter(value => value !== null);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    const header = matrix.shifts.map(shift => `<th>${escapeHTML(shift)}</th>`).join('');
+    const rows = matrix.tls.map(tl => {
+        const cells = matrix.shifts.map(shift => {
+            const cell = matrix.cells.get(`${tl}|${shift}`);
+            const value = cell ? metric.value(cell) : null;
+            if (value === null) return '<td class="heatmap-empty">–</td>';
+            const title = `${tl} · ${shift}: ${label} ${metric.format(value)} (${cell.volume.toLocaleString()} tasks, ${cell.headcount} employees)`;
+            return `<td class="heatmap-cell" data-tl="${escapeHTML(tl)}" data-shift="${escapeHTML(shift)}"
+                style="background-color: ${heatmapColor(value, min, max, metric.higherIsBetter)};"
+                title="${escapeHTML(title)}">${metric.format(value)}</td>`;
+        }).join('');
+        return `<tr><th scope="row">${escapeHTML(tl)}</th>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="employee-table shift-heatmap">
+            <thead><tr><th>Team Leader</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// --- FILTER STATE ---
+
+/**
+ * Returns the current filter selection, in the shape shared with the
+ * Employee dashboard (see data_store.js).
+ */
+function getFilterState() {
+    const selectedTL = document.getElementById('tlFilter').value;
+    return {
+        startDate: document.getElementById('startDateFilter').value,
+        endDate: document.getElementById('endDateFilter').value,
+        tl: selectedTL,
+        team: selectedTL === 'all' ? 'all' : document.getElementById('teamFilter').value,
+        shift: document.getElementById('shiftFilter').value,
+        task: document.getElementById('taskFilter').value,
+        granularity: document.getElementById('trendGranularity').value,
+        ...getComparisonState()
+    };
+}
+
+/**
+ * Applies a stored or linked (URL) filter state to the controls. The team and
+ * shift options are only built while rendering, so they are kept as
+ * placeholder options.
+ */
+function applyFilterState(filters) {
+    if (filters.startDate) document.getElementById('startDateFilter').value = filters.startDate;
+    if (filters.endDate) document.getElementById('endDateFilter').value = filters.endDate;
+    selectOptionValue(document.getElementById('tlFilter'), filters.tl);
+    selectOptionValue(document.getElementById('teamFilter'), filters.team, true);
+    selectOptionValue(document.getElementById('shiftFilter'), filters.shift || 'all', true);
+    selectOptionValue(document.getElementById('taskFilter'), filters.task || 'all');
+    selectOptionValue(document.getElementById('trendGranularity'), filters.granularity || 'day');
+    applyComparisonState(filters);
+}
+
+// --- DRILL-DOWN ---
+
+// Shows a pointer over the clickable parts of a chart
+function pointerOnHover(event, elements) {
+    if (event.native && event.native.target) {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    }
+}
+
+/**
+ * Selects a value in a filter dropdown and re-renders; selecting the value
+ * that is already active clears the filter again.
+ */
+function toggleSelectFilter(filterId, value) {
+    const filter = document.getElementById(filterId);
+    selectOptionValue(filter, filter.value === value ? 'all' : value);
+    renderDashboard();
+}
+
+/**
+ * Focuses the page on the TL (and team) of a clicked TL volume bar.
+ * @param {Object} entry - { tl, team } of the bar.
+ */
+function drillDownToTL(entry) {
+    selectOptionValue(document.getElementById('tlFilter'), entry.tl);
+    selectOptionValue(document.getElementById('teamFilter'), entry.team, true);
+    renderDashboard();
+}
+
+/**
+ * Focuses the page on the TL and shift of a clicked heatmap cell.
+ */
+function drillDownToTLShift(tl, shift) {
+    selectOptionValue(document.getElementById('tlFilter'), tl);
+    selectOptionValue(document.getElementById('teamFilter'), 'all', true);
+    selectOptionValue(document.getElementById('shiftFilter'), shift);
+    renderDashboard();
+}
+
+/**
+ * Opens the Employee Dashboard focused on one employee, with the current TL
+ * and date range.
+ */
+function openEmployeeDashboard(empId) {
+    const filters = getFilterState();
+    const query = UrlStateCore.filtersToQuery({ startDate: filters.startDate, endDate: filters.endDate, tl: filters.tl, empId });
+    window.location.href = `employee_dashboard.html?${query}`;
+}
+
+// --- EXPORT ---
+
+// What the last render showed, for the Excel export
+let currentView = null;
+
+/**
+ * Downloads the current view as an .xlsx workbook: a summary (filters and
+ * KPIs) and sheets for the TL/team metrics, the employee table (as sorted
+ * and searched), shift volumes, ID usage and anomalies.
+ */
+function exportCurrentView() {
+    if (!currentView) {
+        setImportStatus('Load data before exporting.', 'error');
+        return;
+    }
+    const { metrics, tlTeamRows, idUsageMetrics, shiftMatrix, comparison } = currentView;
+    const filters = getFilterState();
+    const simpleMean = isSimpleMeanAHT();
+    const ahtData = simpleMean ? metrics.ahtDataSimple : metrics.ahtData;
+
+    const summary = [
+        ['TL Performance Dashboard'],
+        ['Exported', new Date().toLocaleString()],
+        [],
+        ['Filter', 'Value'],
+        ['Start Date', filters.startDate],
+        ['End Date', filters.endDate],
+        ['Team Leader', selectedOptionText('tlFilter')],
+        ['Team', filters.tl === 'all' ? 'All Teams' : selectedOptionText('teamFilter')],
+        ['Shift', selectedOptionText('shiftFilter')],
+        ['Task Type', selectedOptionText('taskFilter')],
+        ['AHT by Task', selectedOptionText('ahtModeFilter')],
+        ['Compared To', comparison ? comparison.label : 'No comparison'],
+        [],
+        ['KPI', 'Value'],
+        ['Total Volume', metrics.totalVolume || 0],
+        ['Overall AHT (s)', numberCell(metrics.overallAHT)],
+        ...MetricsCore.TASK_TYPES.map(task => [`Avg ${task.key} AHT (s)`, numberCell(ahtData[task.key] || 0)]),
+        ['Unassigned Volume', metrics.unassignedVolume || 0],
+        ['Mix-Adjusted AHT Index', numberCell(metrics.mixAdjustedIndex)]
+    ];
+
+    const tlTeams = tlTeamRows.length === 0 ? [] : [
+        ['Team Leader', 'Team', 'Total Volume', 'Overall AHT (s)',
+            ...MetricsCore.TASK_TYPES.flatMap(task => [`${task.key} Volume`, `${task.key} AHT (s)${simpleMean ? ' (simple mean)' : ''}`]),
+            'Active Employees', 'Employee-Days', 'Volume / Employee', 'Volume / Employee-Day', 'Handle Time / Employee-Day (h)'],
+        ...tlTeamRows.map(row => {
+            const taskAHT = simpleMean ? MetricsCore.simpleAHTByTask(row) : MetricsCore.ahtByTask(row);
+            return [row.tl, row.team, row.totalVolume, numberCell(row.overallAHT),
+                ...MetricsCore.TASK_TYPES.flatMap(task => [row[`${task.prefix}Volume`], numberCell(taskAHT[task.key])]),
+                row.headcount, row.employeeDays, numberCell(row.volumePerHead, 1), numberCell(row.volumePerEmployeeDay, 1),
+                numberCell(row.handleTimePerEmployeeDay / 3600)];
+        })
+    ];
+
+
+    const tlShifts = shiftMatrix.cells.size === 0 ? [] : [
+        ['Team Leader', 'Shift', 'Total Volume', 'Headcount', 'Volume / Head', 'Overall AHT (s)',
+            ...MetricsCore.TASK_TYPES.map(task => `${task.key} AHT (s)`)],
+        ...shiftMatrix.tls.flatMap(tl => shiftMatrix.shifts
+            .filter(shift => shiftMatrix.cells.has(`${tl}|${shift}`))
+            .map(shift => {
+                const cell = shiftMatrix.cells.get(`${tl}|${shift}`);
+                return [tl, shift, cell.volume, cell.headcount, numberCell(cell.volumePerHead, 1), numberCell(cell.overallAHT),
+                    ...MetricsCore.TASK_TYPES.map(task => numberCell(cell[`${task.prefix}AHT`]))];
+            }))
+    ];
+
+    const idUsage = [];
+    [['Team', idUsageMetrics.teamIDs], ['Shift', idUsageMetrics.shiftIDs], ['Team Leader', idUsageMetrics.tlIDs]].forEach(([group, map]) => {
+        Array.from(map.entries())
+            .sort((a, b) => b[1].size - a[1].size)
+            .forEach(([key, ids]) => idUsage.push([group, key, ids.size]));
+    });
+    if (idUsage.length > 0) idUsage.unshift(['Grouped By', 'Value', 'Unique IDs Used']);
+
+    downloadWorkbook(exportFileName('tl_dashboard'), [
+        { name: 'Summary', rows: summary },
+        { name: 'TL Team Metrics', rows: tlTeams },
+        { name: 'Employees', rows: dataTableSheetRows('employeePerformanceTable') },
+        { name: 'Shifts', rows: dataTableSheetRows('shiftBreakdownTable') },
+        { name: 'TL x Shift', rows: tlShifts },
+        { name: 'ID Usage', rows: idUsage },
+        { name: 'Anomalies', rows: dataTableSheetRows('anomaliesTable') }
+    ]);
+}
+
+// --- TEAM REVIEWS ---
+
+let teamReviewsInProgress = false;
+
+/**
+ * Builds the review report of every employee of the selected TL (and team)
+ * over the selected dates, behind a team cover page, as one printable
+ * document (see review_report.js).
+ */
+function generateTeamReviews() {
+    if (teamReviewsInProgress) return;
+    const filters = getFilterState();
+    if (!currentView || filters.tl === 'all') {
+        setImportStatus('Select a Team Leader (and optionally a team) to generate their team reviews.', 'error');
+        return;
+    }
+    // Reviews cover all shifts and task types, like the Employee dashboard's review;
+    // the mix-adjusted index uses the site's standards, as on the dashboard
+    const teamMetrics = MetricsCore.calculateMetrics(
+        filterToTLTeam(currentView.dateFilteredData, filters.tl, filters.team),
+        MetricsCore.siteStandardAHT(currentView.dateFilteredData)
+    );
+    const empIds = teamMetrics.employeeMetrics
+        .map(emp => emp.empId)
+        .filter(empId => MetricsCore.isValidEmpId(empId));
+    if (empIds.length === 0) {
+        setImportStatus('No identified employees in the current selection.', 'error');
+        return;
+    }
+
+    const title = filters.team === 'all'
+        ? `Team Reviews: ${filters.tl} (All Teams)`
+        : `Team Reviews: ${filters.tl} (Team ${filters.team})`;
+    const options = {
+        tl: filters.tl,
+        team: filters.team,
+        granularity: filters.granularity,
+        startDate: filters.startDate,
+        endDate: filters.endDate
+    };
+
+    teamReviewsInProgress = true;
+    buildEmployeeReviews(currentView.dateFilteredData, empIds, options, (done, total) => {
+        setImportStatus(`Building review ${done} of ${total}…`);
+    }).then(reviews => {
+        setImportStatus(`${reviews.length} review(s) ready to print.`, 'success');
+        showPrintableReport(title, teamCoverHTML(title, reviews, teamMetrics, options) + reviews.map(reviewReportHTML).join(''));
+    }).catch(error => {
+        console.error('Team review error:', error);
+        setImportStatus(`Could not build the team reviews: ${error.message}`, 'error');
+    }).then(() => {
+        teamReviewsInProgress = false;
+    });
 }
 
 // --- MAIN CONTROL FUNCTIONS ---
 
+/**
+ * Applies the page-wide Shift and Task Type filters.
+ */
+function scopeToShiftAndTask(data, selectedShift, selectedTask) {
+    let scopedData = selectedShift === 'all' ? data : MetricsCore.filterByShift(data, selectedShift);
+    if (selectedTask !== 'all') {
+        scopedData = MetricsCore.restrictToTaskType(scopedData, selectedTask);
+    }
+    return scopedData;
+}
+
+/**
+ * Returns a test of a normalized TL / team against the TL filter, and the
+ * Team filter when a specific TL is selected. The filter values are raw
+ * column values, so they are normalized the same way as the rows.
+ * @returns {Function} (tl, team) => boolean.
+ */
+function tlTeamMatcher(selectedTL, selectedTeam) {
+    if (selectedTL === 'all') return () => true;
+    const selected = MetricsCore.normalizeRow({ 'TL': selectedTL, 'Team': selectedTeam });
+    return (tl, team) => tl === selected.tl && (selectedTeam === 'all' || team === selected.team);
+}
+
+/**
+ * Applies the TL filter, and the Team filter when a specific TL is selected.
+ */
+function filterToTLTeam(data, selectedTL, selectedTeam) {
+    if (selectedTL === 'all') return data;
+    const matches = tlTeamMatcher(selectedTL, selectedTeam);
+    return data.filter(item => {
+        const row = MetricsCore.normalizeRow(item);
+        return matches(row.tl, row.team);
+    });
+}
+
 function renderDashboard() {
     const selectedTL = document.getElementById('tlFilter').value;
-    const startDateStr = document.getElementById('startDateFilter').value;
-    const endDateStr = document.getElementById('endDateFilter').value;
-
-    const startDate = startDateStr ? new Date(startDateStr) : null;
-    const endDate = endDateStr ? new Date(endDateStr) : null;
-    
-    const startOfDay = (d) => d ? new Date(d.getFullYear(), d.getMonth(), d.getDate()) : null;
+    const startDate = MetricsCore.parseInputDate(document.getElementById('startDateFilter').value);
+    const endDate = MetricsCore.parseInputDate(document.getElementById('endDateFilter').value);
 
     // 1. Filter Data by Date
-    const dateFilteredData = rawData.filter(item => {
-        const itemDate = parseDate(item['Date']);
-        if (!itemDate || isNaN(itemDate)) return false; 
+    const dateFilteredData = MetricsCore.filterByDateRange(rawData, startDate, endDate);
 
-        const itemDateOnly = startOfDay(itemDate);
-        
-        let withinStart = true;
-        if (startDate) {
-            withinStart = itemDateOnly >= startOfDay(startDate);
-        }
+    // 1b. Filter by Shift and narrow down to one Task Type (these apply to the whole page)
+    populateShiftFilter(dateFilteredData);
+    const selectedShift = document.getElementById('shiftFilter').value;
+    const selectedTask = document.getElementById('taskFilter').value;
+    const scopedData = scopeToShiftAndTask(dateFilteredData, selectedShift, selectedTask);
 
-        let withinEnd = true;
-        if (endDate) {
-            withinEnd = itemDateOnly <= startOfDay(endDate);
-        }
-        
-        return withinStart && withinEnd;
-    });
+    // Per-task standard AHTs of the whole site over the dates, for the mix-adjusted AHT index
+    const standardAHT = MetricsCore.siteStandardAHT(dateFilteredData);
 
     // 2. Calculate GLOBAL Metrics (Metrics for ALL TLs in the date range)
-    const globalMetrics = calculateMetrics(dateFilteredData);
+    const globalMetrics = MetricsCore.calculateMetrics(scopedData, standardAHT);
     
     // 3. Populate Team Filter based on selected TL
-    populateTeamFilter(selectedTL, dateFilteredData); 
+    populateTeamFilter(selectedTL, scopedData); 
     
     // 4. Read the selected Team filter value
     const selectedTeam = document.getElementById('teamFilter').value;
     
-    // 5. Filter by TL
-    let tlSpecificData = selectedTL === 'all'
-        ? dateFilteredData
-        : dateFilteredData.filter(item => item['TL'] === selectedTL);
-        
-    // 6. Filter by Team (only applies if a specific TL is selected AND a specific Team is selected)
-    if (selectedTL !== 'all' && selectedTeam !== 'all') {
-        const teamStr = selectedTeam; 
-        // Filter where the 'Team' column matches the selected string value
-        tlSpecificData = tlSpecificData.filter(item => String(item['Team']) === teamStr);
-    }
+    // 5./6. Filter by TL, and by Team (only applies if a specific TL is selected AND a specific Team is selected)
+    const tlSpecificData = filterToTLTeam(scopedData, selectedTL, selectedTeam);
     
     // 7. Calculate TL-SPECIFIC Metrics & ID Usage
-    const tlSpecificMetrics = calculateMetrics(tlSpecificData);
+    const tlSpecificMetrics = MetricsCore.calculateMetrics(tlSpecificData, standardAHT);
     const idUsageMetrics = calculateIDUsageMetrics(tlSpecificData); // New calculation
+
+    // Daily target attainment (targets from the rules configuration, see rules_core.js)
+    const rulesConfig = loadRulesConfig();
+    const tlSpecificAttainment = RulesCore.calculateAttainment(rulesConfig, tlSpecificData);
+    const attainmentByEmpId = new Map(tlSpecificAttainment.employees.map(employee => [employee.empId, employee]));
+
+    // Comparison period with the same TL / Team / Shift / Task filters (null when not comparing)
+    const comparison = resolveComparisonRange();
+    let comparisonGlobalMetrics = null;
+    let comparisonTLMetrics = null;
+    if (comparison) {
+        const comparisonData = scopeToShiftAndTask(
+            MetricsCore.filterByDateRange(rawData, comparison.start, comparison.end), selectedShift, selectedTask);
+        // Same standards, so the index change reflects the handle times rather than the site's
+        comparisonGlobalMetrics = MetricsCore.calculateMetrics(comparisonData, standardAHT);
+        comparisonTLMetrics = MetricsCore.calculateMetrics(filterToTLTeam(comparisonData, selectedTL, selectedTeam), standardAHT);
+    }
     
     // 8. Update Visuals
     
@@ -813,7 +1272,7 @@ function renderDashboard() {
     renderIDUsageSummary(idUsageMetrics); 
 
     // KPIs, Volume by Task, and Shift Volume reflect the filtered data set (TL Specific/Team Specific)
-    updateKPIs(tlSpecificMetrics);
+    updateKPIs(tlSpecificMetrics, comparisonTLMetrics);
     renderVolumeByTask(tlSpecificMetrics);
     renderShiftVolume(tlSpecificMetrics); 
     
@@ -821,68 +1280,118 @@ function renderDashboard() {
     renderAllTLAHTCharts(tlSpecificMetrics); 
     
     // Employee table reflects the filtered data set
-    renderEmployeePerformanceTable(tlSpecificMetrics, selectedTL, selectedTeam);
+    // Transfers are looked up across all TLs, so moves in and out of the selection show
+    renderEmployeePerformanceTable(tlSpecificMetrics, selectedTL, selectedTeam, attainmentByEmpId, comparisonTLMetrics,
+        MetricsCore.employeeAssignments(scopedData));
     
     // Global views use global metrics (TL Team Map and TL Volume Chart should always show ALL TLs in the date range)
     // IMPORTANT: renderTLVolume is now using the TL|Team metrics for breakdown, even when using globalMetrics
     renderTLTeamMap(globalMetrics.tlTeamMap);
-    renderTLVolume(globalMetrics);
+    renderTLVolume(globalMetrics, comparisonGlobalMetrics);
+    renderTLTeamAttainment(RulesCore.calculateAttainment(rulesConfig, scopedData));
+
+    // Trends follow the TL / Team selection
+    renderTrends(tlSpecificData);
+
+    // Shift breakdown follows the selection; the heatmap compares all TLs
+    renderShiftBreakdown(tlSpecificMetrics.shiftMetrics);
+    const shiftMatrix = MetricsCore.calculateTLShiftMatrix(scopedData);
+    renderShiftHeatmap(shiftMatrix);
+
+    // Anomalies are detected against whole teams, then narrowed to the TL / Team filter
+    const inSelection = tlTeamMatcher(selectedTL, selectedTeam);
+    renderAnomalies(AnomalyCore.detectAnomalies(scopedData).filter(anomaly => inSelection(anomaly.tl, anomaly.team)));
+
+    currentView = {
+        metrics: tlSpecificMetrics,
+        tlTeamRows: MetricsCore.aggregateWithHeadcount(
+            tlSpecificData,
+            row => (row.tl && row.team ? `${row.tl}|${row.team}` : null),
+            row => ({ tl: row.tl, team: row.team })
+        )
+            .sort((a, b) => a.tl.localeCompare(b.tl) || parseInt(a.team) - parseInt(b.team)),
+        idUsageMetrics,
+        shiftMatrix,
+        comparison,
+        dateFilteredData
+    };
+
+    // Remember the filters (storage, URL and the Employee dashboard link)
+    recordFilterState(getFilterState());
 }
 
 /**
- * NEW: Handles Excel file upload and conversion to JSON using SheetJS.
+ * Handles the data file upload: the shared importer (dashboard_common.js)
+ * reads the selected files/sheets, maps their columns onto the expected
+ * schema and adds them to the combined dataset.
  */
 function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            // 1. Read the workbook data as a binary string
-            const data = e.target.result;
-            // Use window.XLSX globally available from the CDN script
-            const workbook = XLSX.read(data, { type: 'binary' });
-
-            // 2. Assume the data is in the first sheet and get the worksheet
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            // 3. Convert the sheet to a JSON array (array of objects)
-            // header: 1 means interpret the first row as column headers
-            rawData = XLSX.utils.sheet_to_json(worksheet);
-
-            if (rawData.length === 0) {
-                 throw new Error("The Excel sheet is empty or has no recognizable data.");
-            }
-            
-            // 4. Setup filters and render dashboard
-            populateDateFilters(rawData);
-            populateTLFilter(rawData);
-            
-            renderDashboard(); 
-
-        } catch (error) {
-            console.error("File processing error:", error);
-            // Replaced alert() with console log to follow instructions
-            console.log('Error processing the file. Please ensure it is a valid Excel file (.xlsx or .xls) and the data is in the FIRST sheet with headers in the first row.');
-            rawData = []; 
-            renderDashboard(); 
-        }
-    };
-    
-    // Crucial: Read the file as a binary string for SheetJS
-    reader.readAsBinaryString(file);
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    importDataFiles(files)
+        .catch(error => {
+            console.error('Import error:', error);
+            setImportStatus(`Import failed: ${error.message}`, 'error');
+        })
+        .then(() => {
+            // Allow the same file to be selected again (e.g. after removing it)
+            event.target.value = '';
+        });
+}
+
+/**
+ * Receives the combined dataset whenever sources are loaded, removed or
+ * restored from storage (together with the stored filters).
+ */
+function applyDataset(rows, restoredFilters) {
+    rawData = rows;
+
+    // Setup filters and render dashboard
+    populateDateFilters(rawData);
+    populateTLFilter(rawData);
+    if (restoredFilters) applyFilterState(restoredFilters);
+
+    renderDashboard();
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+     onDatasetChanged(applyDataset);
+     initUrlState(filters => {
+         applyFilterState(filters);
+         renderDashboard();
+     });
+
+     // Anomaly rows open the employee
+     document.getElementById('anomaliesCard').addEventListener('click', event => {
+         const row = event.target.closest('tr.drill-down-row');
+         if (row) openEmployeeDashboard(row.dataset.empId);
+     });
+
+     // Heatmap cells focus the page on that TL and shift
+     document.getElementById('shiftHeatmapContainer').addEventListener('click', event => {
+         const cell = event.target.closest('td.heatmap-cell');
+         if (cell) drillDownToTLShift(cell.dataset.tl, cell.dataset.shift);
+     });
+
+     // Employee rows are re-rendered on every change, so listen on the container
+     document.getElementById('employeeDetailsContainer').addEventListener('click', event => {
+         const row = event.target.closest('tr.drill-down-row');
+         if (row) openEmployeeDashboard(row.dataset.empId);
+     });
+
      // Initial render with empty data
-     const emptyMetrics = calculateMetrics([]);
+     const emptyMetrics = MetricsCore.calculateMetrics([]);
      updateKPIs(emptyMetrics);
      renderVolumeByTask(emptyMetrics);
      renderShiftVolume(emptyMetrics);
+     renderShiftBreakdown(emptyMetrics.shiftMetrics);
      renderTLVolume(emptyMetrics);
      renderTLTeamMap(emptyMetrics.tlTeamMap);
      renderIDUsageSummary(calculateIDUsageMetrics([])); // Initial render for new section
      document.getElementById('employeeDetailTitle').textContent = "Select a Team Lead from the filter above to view detailed team performance.";
+
+     // Reload the dataset and filters kept from the last visit (either dashboard);
+     // filters in the page URL take precedence
+     restoreStoredDataset();
 });
\ No newline at end of file
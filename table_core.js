@@ -0,0 +1,67 @@
+/**
+ * Searching and sorting of the dashboards' data tables (rendered by the DATA
+ * TABLES section of dashboard_common.js).
+ *
+ * Like metrics_core.js this file is DOM-free: in the browser it exposes
+ * `window.TableCore`, under Node it can be `require()`d.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.TableCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    // Sort value of a cell: numbers and strings as they are, null/'' for empty cells
+    function cellValue(column, row) {
+        return column.value ? column.value(row) : row[column.key];
+    }
+
+    const isEmpty = value => value === null || value === undefined || value === '';
+
+    /**
+     * Compares two rows on a column: numbers numerically, anything else as
+     * text with embedded numbers in numeric order ('Team 2' before 'Team 10').
+     * Empty values always go last, whatever the direction.
+     * @param {Object} column - { key, value(row) }.
+     * @param {string} direction - 'asc' or 'desc'.
+     * @returns {number}
+     */
+    function compareRows(column, direction, a, b) {
+        const valueA = cellValue(column, a);
+        const valueB = cellValue(column, b);
+        const emptyA = isEmpty(valueA);
+        const emptyB = isEmpty(valueB);
+        if (emptyA || emptyB) return emptyA - emptyB;
+        const order = typeof valueA === 'number' && typeof valueB === 'number'
+            ? valueA - valueB
+            : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+        return direction === 'asc' ? order : -order;
+    }
+
+    /**
+     * Rows of a table as shown: those matching the search text (case-
+     * insensitively, anywhere in searchText(row)), sorted on a column.
+     * @param {Array} rows - Not modified.
+     * @param {Array} columns - The table's columns.
+     * @param {Object} view - { search, searchText(row) (no search without it),
+     *   sort ({ key, direction } or null; unknown keys leave the order as is) }.
+     * @returns {Array}
+     */
+    function visibleRows(rows, columns, { search = '', searchText = null, sort = null } = {}) {
+        const term = search.trim().toLowerCase();
+        const matching = term && searchText
+            ? rows.filter(row => searchText(row).toLowerCase().includes(term))
+            : rows.slice();
+        const sortColumn = sort && columns.find(column => column.key === sort.key);
+        return sortColumn ? matching.sort((a, b) => compareRows(sortColumn, sort.direction, a, b)) : matching;
+    }
+
+    return {
+        cellValue,
+        compareRows,
+        visibleRows
+    };
+}));
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for anomaly_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AnomalyCore = require('../anomaly_core.js');
+const { row } = require('./fixtures.js');
+
+// One row per day from 01/11/2025 with the given notification volumes (AHT 10)
+function dailyRows(volumes, fields = {}) {
+    return volumes.map((volume, index) => row({ date: `${String(index + 1).padStart(2, '0')}/11/2025`, notif: [volume, 10], ...fields }));
+}
+
+describe('robust statistics', () => {
+    it('scores a value against the median and MAD of a sample', () => {
+        assert.equal(AnomalyCore.robustZScore(14, [8, 9, 10, 11, 12]), 0.6745 * 4);
+        assert.equal(AnomalyCore.robustZScore(14, [10, 10, 10]), null);
+    });
+
+    it('computes IQR fences', () => {
+        const fences = AnomalyCore.iqrFences([1, 2, 3, 4, 5]);
+        assert.deepEqual([fences.q1, fences.q3, fences.iqr, fences.low, fences.high, fences.median], [2, 4, 2, -4, 10, 3]);
+        assert.equal(AnomalyCore.iqrFences([3, 3, 3, 3]), null);
+    });
+});
+
+describe('anomaly detection', () => {
+    const ownBaseline = anomalies => anomalies.filter(anomaly => anomaly.basis === 'Own baseline');
+
+    it("flags a day far from the employee's other days", () => {
+        const anomalies = ownBaseline(AnomalyCore.detectAnomalies(dailyRows([100, 104, 98, 101, 97, 300])));
+        assert.deepEqual(anomalies.map(anomaly => [anomaly.date, anomaly.field, anomaly.value, anomaly.expected]), [['06/11/2025', 'totalVolume', 300, 100]]);
+    });
+
+    it('leaves the day itself out of its baseline', () => {
+        // Baseline 100, 102, 98, 104, 96: median 100, MAD 2 (with 130 in it: median 101, MAD 3)
+        const [anomaly] = ownBaseline(AnomalyCore.detectAnomalies(dailyRows([100, 102, 98, 104, 96, 130])));
+        assert.equal(anomaly.expected, 100);
+        assert.equal(anomaly.score, (0.6745 * 30) / 2);
+    });
+
+    it('needs MIN_BASELINE_DAYS other days', () => {
+        const volumes = [100, 104, 98, 101, 97, 300].slice(-AnomalyCore.MIN_BASELINE_DAYS);
+        assert.deepEqual(ownBaseline(AnomalyCore.detectAnomalies(dailyRows(volumes))), []);
+    });
+
+    it("flags employee-days outside the team's distribution", () => {
+        const data = [
+            ...dailyRows([100, 102, 98, 101], { empId: '1001' }),
+            ...dailyRows([99, 103, 97, 100], { empId: '1002', name: 'Emp2' }),
+            ...dailyRows([100, 900], { empId: '1003', name: 'Emp3' })
+        ];
+        const anomalies = AnomalyCore.detectAnomalies(data).filter(anomaly => anomaly.basis === 'Team distribution');
+        assert.deepEqual(anomalies.map(anomaly => [anomaly.empId, anomaly.date, anomaly.field]), [['1003', '02/11/2025', 'totalVolume']]);
+    });
+
+    it('flags high volume with a near-zero AHT', () => {
+        const data = [row({ notif: [50, 10] }), row({ empId: '1002', notif: [60, 0.2] })];
+        const anomalies = AnomalyCore.detectAnomalies(data).filter(anomaly => anomaly.basis === 'Combination');
+        assert.deepEqual(anomalies.map(anomaly => [anomaly.empId, anomaly.field, anomaly.score]), [['1002', 'notifAHT', 10]]);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Row builders shared by the core tests. Rows are keyed by the report's
+ * column headers, as the importer produces them.
+ */
+'use strict';
+
+/**
+ * Builds one raw data row.
+ * @param {Object} [fields] - Short names: empId, name, tl, team, shift, date,
+ *   notif / room / zone ([volume, aht]); any other key is copied as a column.
+ */
+function row(fields = {}) {
+    const { empId = '1001', name = 'Emp1', tl = 'Ann', team = '1', shift = 'Morning', date = '01/11/2025',
+        notif = [0, 0], room = [0, 0], zone = [0, 0], ...columns } = fields;
+    return {
+        'EMP ID': empId,
+        'Employee Name': name,
+        'TL': tl,
+        'Team': team,
+        'Shift': shift,
+        'Date': date,
+        'Total Notification': notif[0],
+        'AHT - Notification': notif[1],
+        'Total Room Update': room[0],
+        'AHT - Room Status': room[1],
+        'Total Zone Update': zone[0],
+        'AHT - Zone Events': zone[1],
+        ...columns
+    };
+}
+
+module.exports = { row };
@@ -0,0 +1,255 @@
+/**
+ * Unit tests for import_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ImportCore = require('../import_core.js');
+
+describe('header matching', () => {
+    const schemaHeaders = ImportCore.SCHEMA.map(field => field.key);
+
+    it('matches exact headers', () => {
+        const { mapping, missing, unrecognized } = ImportCore.matchHeaders(schemaHeaders);
+        assert.equal(mapping['EMP ID'], 'EMP ID');
+        assert.deepEqual(missing, []);
+        assert.deepEqual(unrecognized, []);
+    });
+
+    it('matches aliases and differently formatted headers', () => {
+        const headers = schemaHeaders.map(header => ({ 'EMP ID': 'Employee Code', 'TL': 'team leader', 'AHT - Zone Events': 'AHT_Zone_Events' }[header] || header));
+        const { mapping, missing } = ImportCore.matchHeaders([...headers, 'Remarks']);
+        assert.equal(mapping['EMP ID'], 'Employee Code');
+        assert.equal(mapping['TL'], 'team leader');
+        assert.equal(mapping['AHT - Zone Events'], 'AHT_Zone_Events');
+        assert.deepEqual(missing, []);
+    });
+
+    it('reports missing required columns and unrecognized headers', () => {
+        const headers = schemaHeaders.filter(header => header !== 'Team' && header !== 'Shift');
+        const { missing, unrecognized } = ImportCore.matchHeaders([...headers, 'Grp', 'Remarks'], { ignored: ['Remarks'] });
+        assert.deepEqual(missing, ['Team']);
+        assert.deepEqual(unrecognized, ['Grp']);
+        assert.ok(ImportCore.missingRequiredFields({ 'Date': 'Date' }).includes('Team'));
+    });
+
+    it('prefers a saved mapping', () => {
+        const headers = [...schemaHeaders.filter(header => header !== 'Team'), 'Grp', 'Team No'];
+        const { mapping, unrecognized } = ImportCore.matchHeaders(headers, { mapping: { 'Team': 'Grp' } });
+        assert.equal(mapping['Team'], 'Grp');
+        assert.deepEqual(unrecognized, ['Team No']);
+    });
+
+    it('renames mapped columns and keeps the others', () => {
+        const rows = ImportCore.applyColumnMapping([{ 'Grp': '3', 'Remarks': 'x', '__rowNumber': 2 }], { 'Team': 'Grp' });
+        assert.deepEqual(rows, [{ 'Team': '3', 'Remarks': 'x', '__rowNumber': 2 }]);
+    });
+});
+
+describe('data-quality report', () => {
+    const rows = [
+        { '__rowNumber': 2, '__source': 'a.xlsx', 'Date': '01/11/2025', 'EMP ID': '1001', 'Employee Name': 'Emp1', 'TL': 'Ann', 'Team': '1', 'Total Notification': 10, 'AHT - Notification': 20 },
+        { '__rowNumber': 3, '__source': 'a.xlsx', 'Date': '2025-11-01', 'EMP ID': '#N/A', 'TL': 'Ann', 'Team': '1', 'Total Notification': 5 },
+        { '__rowNumber': 4, '__source': 'a.xlsx', 'Date': '02/11/2025', 'EMP ID': '1002', 'TL': 'Ann', 'Team': 'N/A', 'Total Room Update': '1,200', 'AHT - Zone Events': -3 }
+    ];
+
+    it('lists the rows failing each check with their volume', () => {
+        const report = ImportCore.buildQualityReport(rows);
+        const issue = type => report.issues.find(entry => entry.type === type);
+        assert.equal(report.totalRows, 3);
+        assert.equal(report.badRowCount, 2);
+        assert.deepEqual(issue('invalidDate').rows.map(entry => entry.rowNumber), [3]);
+        assert.equal(issue('invalidDate').volume, 5);
+        assert.deepEqual(issue('invalidEmpId').rows.map(entry => entry.rowNumber), [3]);
+        assert.equal(issue('nonNumericVolume').rows[0].detail, 'Total Room Update "1,200"');
+        assert.deepEqual(issue('negativeAHT').rows.map(entry => entry.rowNumber), [4]);
+        assert.equal(issue('missingTLTeam').rows[0].detail, 'No Team');
+    });
+
+    it('exports one CSV line per bad row with all its problems', () => {
+        const lines = ImportCore.qualityReportToCSV(ImportCore.buildQualityReport(rows)).split('\r\n');
+        assert.equal(lines.length, 3);
+        assert.ok(lines[0].startsWith('Source,Sheet Row,Problems,'));
+        assert.match(lines[1], /^a\.xlsx,3,"Invalid or missing date: .*; Missing or #N\/A EMP ID: /);
+        assert.match(lines[2], /^a\.xlsx,4,"Non-numeric volume: /);
+    });
+
+    it('quotes CSV fields that need it', () => {
+        assert.equal(ImportCore.toCSV([{ a: 'x,y', b: 'say "hi"' }], ['a', 'b']), 'a,b\r\n"x,y","say ""hi"""');
+    });
+});
+
+describe('CSV and JSON parsing', () => {
+    it('parses quoted fields with delimiters, quotes and line breaks', () => {
+        assert.deepEqual(ImportCore.parseCSV('a,b\r\n"x, y","say ""hi""\nthere"\n', ','), [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+    });
+
+    it('detects the delimiter', () => {
+        assert.equal(ImportCore.detectDelimiter('Date;EMP ID;TL\n01/11/2025;1001;Ann'), ';');
+        assert.equal(ImportCore.detectDelimiter('Date\tEMP ID\n01/11/2025\t1001'), '\t');
+        assert.equal(ImportCore.detectDelimiter('Date,EMP ID\n01/11/2025,1001'), ',');
+    });
+
+    it('turns CSV records into rows with sheet row numbers, leaving out empty cells', () => {
+        const { headers, rows, delimiter } = ImportCore.csvToRows('Date;EMP ID;Team\n01/11/2025;1001;\n;;\n02/11/2025; 1002 ;3\n');
+        assert.equal(delimiter, ';');
+        assert.deepEqual(headers, ['Date', 'EMP ID', 'Team']);
+        assert.deepEqual(rows, [
+            { '__rowNumber': 2, 'Date': '01/11/2025', 'EMP ID': '1001' },
+            { '__rowNumber': 4, 'Date': '02/11/2025', 'EMP ID': '1002', 'Team': '3' }
+        ]);
+    });
+
+    it('parses a JSON array of row objects', () => {
+        const { headers, rows } = ImportCore.jsonToRows('[{"Date": "01/11/2025", "EMP ID": 1001}, {"Team": 2}]');
+        assert.deepEqual(headers, ['Date', 'EMP ID', 'Team']);
+        assert.equal(rows[1]['__rowNumber'], 2);
+        assert.throws(() => ImportCore.jsonToRows('{"Date": "01/11/2025"}'), /array of row objects/);
+    });
+
+    it('decodes UTF-8 and falls back to Windows-1252', () => {
+        assert.deepEqual(ImportCore.decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, 0x63, 0x61, 0x66, 0xC3, 0xA9])), { text: 'café', encoding: 'utf-8' });
+        assert.deepEqual(ImportCore.decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xE9])), { text: 'café', encoding: 'windows-1252' });
+    });
+});
+
+describe('duplicates and conflicts', () => {
+    const conflictRow = (empId, name, date, volume, aht = 10) =>
+        ({ '__source': 'a.xlsx', '__rowNumber': volume, 'EMP ID': empId, 'Employee Name': name, 'Date': date, 'Total Notification': volume, 'AHT - Notification': aht });
+    const rows = [
+        conflictRow('1001', 'Emp1', '01/11/2025', 2, 10),
+        conflictRow('1001', 'Emp1', '01/11/2025', 3, 20),
+        conflictRow('1002', 'Emp2', '01/11/2025', 4),
+        conflictRow('1002', 'Emp  two', '02/11/2025', 5),
+        conflictRow('1003', 'Emp3', '01/11/2025', 6),
+        conflictRow('2003', 'emp3', '02/11/2025', 7)
+    ];
+    const volumes = result => result.rows.map(row => row['Total Notification']);
+    const resolve = (type, id, action) => ImportCore.resolveConflicts(rows, { [type]: { [id]: action } });
+
+    it('detects each kind of conflict with a stable id', () => {
+        const conflicts = ImportCore.detectConflicts(rows);
+        assert.equal(conflicts.total, 3);
+        assert.deepEqual(conflicts.idWithNames.map(conflict => [conflict.id, conflict.description]), [['1002|emp2|emp two', 'EMP ID 1002: Emp2 / Emp  two']]);
+        assert.deepEqual(conflicts.nameWithIds.map(conflict => [conflict.id, conflict.labels]), [['emp3|1003|2003', ['EMP ID 1003', 'EMP ID 2003']]]);
+        assert.deepEqual(conflicts.duplicateRows.map(conflict => [conflict.id, conflict.labels]), [['1001|01/11/2025|a.xlsx', ['row 2', 'row 3']]]);
+        assert.deepEqual(conflicts.sourceDuplicates, []);
+    });
+
+    it('leaves the conflicts of one source as they are by default', () => {
+        const result = ImportCore.resolveConflicts(rows, {});
+        assert.deepEqual(volumes(result), [2, 3, 4, 5, 6, 7]);
+        assert.deepEqual([result.resolved, result.removed, result.conflicts.total], [0, 0, 3]);
+        assert.equal(result.conflicts.duplicateRows[0].action, 'none');
+    });
+
+    it('merges, keeps the first name or excludes an EMP ID with several names', () => {
+        const merged = resolve('idWithNames', '1002|emp2|emp two', 'merge');
+        assert.deepEqual(merged.rows.filter(row => row['EMP ID'] === '1002').map(row => row['Employee Name']), ['Emp2', 'Emp2']);
+        assert.equal(merged.conflicts.idWithNames[0].kept, 'Emp2');
+        assert.deepEqual(volumes(resolve('idWithNames', '1002|emp2|emp two', 'keepFirst')), [2, 3, 4, 6, 7]);
+        assert.deepEqual(volumes(resolve('idWithNames', '1002|emp2|emp two', 'exclude')), [2, 3, 6, 7]);
+    });
+
+    it('merges, keeps the first EMP ID or excludes a name with several EMP IDs', () => {
+        const merged = resolve('nameWithIds', 'emp3|1003|2003', 'merge');
+        assert.deepEqual(merged.rows.slice(-2).map(row => row['EMP ID']), ['1003', '1003']);
+        assert.equal(merged.conflicts.nameWithIds[0].kept, 'EMP ID 1003');
+        assert.deepEqual(volumes(resolve('nameWithIds', 'emp3|1003|2003', 'keepFirst')), [2, 3, 4, 5, 6]);
+        assert.deepEqual(volumes(resolve('nameWithIds', 'emp3|1003|2003', 'exclude')), [2, 3, 4, 5]);
+    });
+
+    it('merges, keeps the first or excludes duplicate rows in one source', () => {
+        const merged = resolve('duplicateRows', '1001|01/11/2025|a.xlsx', 'merge');
+        assert.deepEqual(volumes(merged), [5, 4, 5, 6, 7]);
+        // AHTs weighted by volume: (2 × 10 + 3 × 20) / 5
+        assert.equal(merged.rows[0]['AHT - Notification'], 16);
+        assert.equal(merged.rows[0]['__rowNumber'], 2);
+        assert.deepEqual(volumes(resolve('duplicateRows', '1001|01/11/2025|a.xlsx', 'keepFirst')), [2, 4, 5, 6, 7]);
+        assert.deepEqual(volumes(resolve('duplicateRows', '1001|01/11/2025|a.xlsx', 'exclude')), [4, 5, 6, 7]);
+    });
+
+    it('detects each type on the rows the earlier types left', () => {
+        // Merging the EMP IDs puts two rows on 1003 / 01/11/2025
+        const sameDay = [rows[4], { ...rows[5], 'Date': '01/11/2025' }];
+        const result = ImportCore.resolveConflicts(sameDay, {
+            nameWithIds: { 'emp3|1003|2003': 'merge' },
+            duplicateRows: { '1003|01/11/2025|a.xlsx': 'merge' }
+        });
+        assert.deepEqual(result.conflicts.duplicateRows.map(conflict => conflict.id), ['1003|01/11/2025|a.xlsx']);
+        assert.deepEqual(volumes(result), [13]);
+        assert.deepEqual([result.resolved, result.removed], [2, 1]);
+    });
+
+    it('applies the choice of each conflict and leaves unknown or invalid choices to the default', () => {
+        const result = ImportCore.resolveConflicts(rows, {
+            idWithNames: { '1002|emp2|emp two': 'merge' },
+            // A conflict that no longer exists (the EMP IDs changed since the choice was saved)
+            nameWithIds: { 'emp3|1003|9999': 'exclude' },
+            duplicateRows: { '1001|01/11/2025|a.xlsx': 'keepNewest' }
+        });
+        assert.equal(result.resolved, 1);
+        assert.equal(result.removed, 0);
+        assert.equal(result.conflicts.nameWithIds[0].action, 'none');
+        assert.equal(result.conflicts.duplicateRows[0].action, 'none');
+        assert.deepEqual(result.rows.map(row => row['Employee Name']), ['Emp1', 'Emp1', 'Emp2', 'Emp2', 'Emp3', 'emp3']);
+    });
+
+    it('does not modify the source rows', () => {
+        resolve('idWithNames', '1002|emp2|emp two', 'merge');
+        resolve('duplicateRows', '1001|01/11/2025|a.xlsx', 'merge');
+        assert.equal(rows[3]['Employee Name'], 'Emp  two');
+        assert.equal(rows[0]['Total Notification'], 2);
+    });
+
+    it('names what a resolution keeps', () => {
+        const [conflict] = ImportCore.detectConflicts(rows).nameWithIds;
+        assert.equal(ImportCore.keptLabel('nameWithIds', conflict, 'merge'), 'EMP ID 1003');
+        assert.equal(ImportCore.keptLabel('nameWithIds', conflict, 'keepNewest'), 'EMP ID 2003');
+        assert.equal(ImportCore.keptLabel('nameWithIds', conflict, 'exclude'), null);
+        assert.equal(ImportCore.keptLabel('duplicateRows', ImportCore.detectConflicts(rows).duplicateRows[0], 'merge'), null);
+    });
+});
+
+describe('duplicates across sources', () => {
+    const sourceRow = (source, empId, date, volume) =>
+        ({ '__source': source, 'EMP ID': empId, 'Employee Name': `Emp${empId}`, 'Date': date, 'Total Notification': volume, 'AHT - Notification': 10 });
+    // Two loaded files, in load order
+    const rows = [
+        sourceRow('a.xlsx', '1001', '01/11/2025', 5),
+        sourceRow('a.xlsx', '1002', '01/11/2025', 6),
+        sourceRow('b.xlsx', '1001', '01/11/2025', 7),
+        sourceRow('b.xlsx', '1001', '02/11/2025', 8)
+    ];
+    const id = '1001|01/11/2025|a.xlsx|b.xlsx';
+    const volumes = result => result.rows.map(row => row['Total Notification']);
+
+    it('reports the same EMP ID and Date in several sources', () => {
+        const conflicts = ImportCore.detectConflicts(rows);
+        assert.equal(conflicts.total, 1);
+        assert.deepEqual(conflicts.sourceDuplicates.map(conflict => [conflict.id, conflict.description]), [[id, 'EMP ID 1001 on 01/11/2025: a.xlsx / b.xlsx']]);
+        assert.deepEqual(conflicts.duplicateRows, []);
+    });
+
+    it('collapses them to the row of the newest source by default', () => {
+        const result = ImportCore.resolveConflicts(rows, {});
+        assert.deepEqual(volumes(result), [6, 7, 8]);
+        assert.deepEqual([result.resolved, result.removed], [1, 1]);
+        assert.equal(result.conflicts.sourceDuplicates[0].kept, 'b.xlsx');
+    });
+
+    it('keeps the first source, merges, excludes or keeps every source on request', () => {
+        const resolveWith = action => ImportCore.resolveConflicts(rows, { sourceDuplicates: { [id]: action } });
+        assert.deepEqual(volumes(resolveWith('keepFirst')), [5, 6, 8]);
+        assert.deepEqual(volumes(resolveWith('merge')), [12, 6, 8]);
+        assert.deepEqual(volumes(resolveWith('exclude')), [6, 8]);
+        assert.deepEqual(volumes(resolveWith('none')), [5, 6, 7, 8]);
+    });
+
+    it('uses the default for a stored choice of a conflict that no longer exists', () => {
+        const result = ImportCore.resolveConflicts(rows, { sourceDuplicates: { '1001|01/11/2025|a.xlsx|c.xlsx': 'none' } });
+        assert.deepEqual(volumes(result), [6, 7, 8]);
+        assert.equal(result.conflicts.sourceDuplicates[0].action, 'keepNewest');
+    });
+});
@@ -0,0 +1,388 @@
+/**
+ * Unit tests for metrics_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsCore = require('../metrics_core.js');
+const { row } = require('./fixtures.js');
+
+describe('parsing helpers', () => {
+    it('parses DD/MM/YYYY dates as local dates', () => {
+        assert.deepEqual(MetricsCore.parseDate('05/11/2025'), new Date(2025, 10, 5));
+        assert.deepEqual(MetricsCore.parseDate('5/1/2025'), new Date(2025, 0, 5));
+    });
+
+    it('returns null for missing or malformed dates', () => {
+        assert.equal(MetricsCore.parseDate(''), null);
+        assert.equal(MetricsCore.parseDate('   '), null);
+        assert.equal(MetricsCore.parseDate(undefined), null);
+        assert.equal(MetricsCore.parseDate(45962), null);
+        assert.equal(MetricsCore.parseDate('2025-11-05'), null);
+        assert.equal(MetricsCore.parseDate('aa/bb/cccc'), null);
+    });
+
+    it('round-trips date input values', () => {
+        const date = MetricsCore.parseInputDate('2025-11-05');
+        assert.deepEqual(date, new Date(2025, 10, 5));
+        assert.equal(MetricsCore.formatDateForInput(date), '2025-11-05');
+        assert.equal(MetricsCore.parseInputDate('05/11/2025'), null);
+        assert.equal(MetricsCore.formatDateForInput(null), '');
+    });
+
+    it('rejects placeholder EMP IDs', () => {
+        assert.equal(MetricsCore.isValidEmpId('1001'), true);
+        assert.equal(MetricsCore.isValidEmpId(1001), true);
+        ['', '  ', '#N/A', 'n/a', null, undefined].forEach(id => assert.equal(MetricsCore.isValidEmpId(id), false));
+    });
+
+    it('normalizes a raw row', () => {
+        const normalized = MetricsCore.normalizeRow(row({ empId: ' 1001 ', team: 'N/A', notif: [10, 20], room: ['5', '8.5'] }));
+        assert.equal(normalized.empId, '1001');
+        assert.equal(normalized.hasEmpId, true);
+        assert.equal(normalized.team, '');
+        assert.deepEqual(normalized.volumes, { 'Notification': 10, 'Room Status': 5, 'Zone Events': 0 });
+        assert.equal(normalized.totalVolume, 15);
+        assert.equal(normalized.weightedTime, 10 * 20 + 5 * 8.5);
+    });
+});
+
+describe('weighted AHT', () => {
+    it('weights AHT by volume and is 0 without volume', () => {
+        assert.equal(MetricsCore.weightedAHT(300, 20), 15);
+        assert.equal(MetricsCore.weightedAHT(300, 0), 0);
+    });
+
+    it('formats AHT with two decimals', () => {
+        assert.equal(MetricsCore.formatAHT(12.345), '12.35');
+        assert.equal(MetricsCore.formatAHT('7'), '7.00');
+        assert.equal(MetricsCore.formatAHT(undefined), '0.00');
+    });
+
+    it('differs from the simple mean when volumes differ', () => {
+        const totals = MetricsCore.aggregateTotals([
+            row({ notif: [90, 10] }),
+            row({ empId: '1002', notif: [10, 30] })
+        ]);
+        assert.equal(MetricsCore.ahtByTask(totals)['Notification'], 12);
+        assert.equal(MetricsCore.simpleAHTByTask(totals)['Notification'], 20);
+        assert.equal(MetricsCore.finalizeAccumulator(totals).notifAHT, '12.00');
+    });
+
+    it('keeps both AHTs for the simple-mean toggle, overall and per TL / team', () => {
+        const metrics = MetricsCore.calculateMetrics([
+            row({ notif: [90, 10], room: [1, 4] }),
+            row({ empId: '1002', notif: [10, 30], room: [3, 8] })
+        ]);
+        assert.deepEqual(metrics.ahtData, { 'Notification': 12, 'Room Status': 7, 'Zone Events': 0 });
+        assert.deepEqual(metrics.ahtDataSimple, { 'Notification': 20, 'Room Status': 6, 'Zone Events': 0 });
+        assert.deepEqual(metrics.tlMetrics[0].ahtByTask, metrics.ahtData);
+        assert.deepEqual(metrics.tlMetrics[0].ahtByTaskSimple, metrics.ahtDataSimple);
+    });
+});
+
+describe('aggregation', () => {
+    const data = [
+        row({ empId: '1001', name: 'Emp1', tl: 'Ann', team: '1', date: '01/11/2025', notif: [10, 20], zone: [10, 40] }),
+        row({ empId: '1001', name: 'Emp1', tl: 'Ann', team: '1', date: '02/11/2025', notif: [30, 10] }),
+        row({ empId: '1002', name: 'Emp2', tl: 'Bob', team: '2', date: '01/11/2025', room: [20, 5] }),
+        row({ empId: '#N/A', name: '', tl: 'Bob', team: '', date: '02/11/2025', room: [4, 5] })
+    ];
+
+    it('totals every row', () => {
+        const totals = MetricsCore.finalizeAccumulator(MetricsCore.aggregateTotals(data));
+        assert.equal(totals.totalVolume, 74);
+        assert.equal(totals.rowCount, 4);
+        assert.equal(totals.overallAHT, MetricsCore.formatAHT((200 + 400 + 300 + 100 + 20) / 74));
+    });
+
+    it('groups per TL and team, skipping rows without a team', () => {
+        const groups = MetricsCore.aggregateByTLTeam(data);
+        assert.deepEqual(groups.map(group => [group.tl, group.team, group.totalVolume]), [['Ann', '1', 50], ['Bob', '2', 20]]);
+        assert.equal(groups[0].overallAHT, '18.00');
+    });
+
+    it('groups per employee, skipping rows without an EMP ID', () => {
+        const employees = MetricsCore.aggregateByEmployee(data);
+        assert.deepEqual(employees.map(employee => [employee.empId, employee.name, employee.totalVolume]), [['1001', 'Emp1', 50], ['1002', 'Emp2', 20]]);
+    });
+
+    it('groups per day in date order', () => {
+        const days = MetricsCore.aggregateByDay([data[1], data[0], data[2]]);
+        assert.deepEqual(days.map(day => [day.date, day.totalVolume]), [['01/11/2025', 40], ['02/11/2025', 30]]);
+    });
+
+    it('calculates the dashboard metrics', () => {
+        const metrics = MetricsCore.calculateMetrics(data);
+        assert.equal(metrics.totalVolume, 74);
+        assert.equal(metrics.unassignedVolume, 4);
+        assert.deepEqual(metrics.volumeData, { 'Notification': 40, 'Room Status': 24, 'Zone Events': 10 });
+        assert.equal(metrics.ahtData['Notification'], 12.5);
+        assert.deepEqual(metrics.employeeMetrics.map(employee => employee.empId), ['1001', '1002']);
+        assert.deepEqual(metrics.tlTeamMap.map(entry => [entry.tl, entry.teams]), [['Ann', '1'], ['Bob', '2']]);
+    });
+
+    it('returns empty metrics for no rows', () => {
+        const metrics = MetricsCore.calculateMetrics([]);
+        assert.equal(metrics.totalVolume, 0);
+        assert.deepEqual(metrics.tlMetrics, []);
+        assert.equal(MetricsCore.calculateEmployeeMetrics([]).empId, 'N/A');
+    });
+
+    it('calculates the metrics of one employee', () => {
+        const metrics = MetricsCore.calculateEmployeeMetrics(data.slice(0, 2));
+        assert.equal(metrics.empId, '1001');
+        assert.equal(metrics.totalVolume, 50);
+        assert.equal(metrics.teamId, 1);
+        assert.equal(metrics.ahtData['Notification'], '12.50');
+        assert.deepEqual(metrics.dailyPerformance.map(day => day.totalVolume), [20, 30]);
+    });
+});
+
+describe('comparison periods', () => {
+    const date = (day, month = 11) => new Date(2025, month - 1, day);
+
+    it('keeps the rows inside a date range', () => {
+        const data = [row({ date: '31/10/2025' }), row({ date: '01/11/2025' }), row({ date: '07/11/2025' }), row({ date: 'n/a' })];
+        assert.deepEqual(MetricsCore.filterByDateRange(data, date(1), date(7)).map(item => item['Date']), ['01/11/2025', '07/11/2025']);
+        assert.equal(MetricsCore.filterByDateRange(data, null, null).length, 3);
+    });
+
+    it('compares with the equally long period just before', () => {
+        assert.deepEqual(MetricsCore.comparisonRange(date(8), date(14), 'previous'), { start: date(1), end: date(7) });
+    });
+
+    it('compares with the same dates one month earlier, clamped to shorter months', () => {
+        assert.deepEqual(MetricsCore.comparisonRange(new Date(2025, 2, 1), new Date(2025, 2, 31), 'lastMonth'),
+            { start: new Date(2025, 1, 1), end: new Date(2025, 1, 28) });
+    });
+
+    it('uses a valid custom range only', () => {
+        assert.deepEqual(MetricsCore.comparisonRange(date(8), date(14), 'custom', date(1), date(3)), { start: date(1), end: date(3) });
+        assert.equal(MetricsCore.comparisonRange(date(8), date(14), 'custom', date(3), date(1)), null);
+        assert.equal(MetricsCore.comparisonRange(date(14), date(8), 'previous'), null);
+    });
+
+    it('calculates the percent change', () => {
+        assert.equal(MetricsCore.percentChange(150, 100), 50);
+        assert.equal(MetricsCore.percentChange(-50, -100), 50);
+        assert.equal(MetricsCore.percentChange(10, 0), null);
+    });
+});
+
+describe('peer benchmarks', () => {
+    const data = [
+        row({ empId: '1001', tl: 'Ann', team: '1', notif: [10, 20] }),
+        row({ empId: '1002', tl: 'Ann', team: '1', notif: [20, 10] }),
+        row({ empId: '1003', tl: 'Ann', team: '2', notif: [30, 30] }),
+        row({ empId: '1004', tl: 'Bob', team: '3', notif: [40, 10] }),
+        row({ empId: '1005', tl: 'Bob', team: '', notif: [50, 10] })
+    ];
+
+    it('takes the median of a list', () => {
+        assert.equal(MetricsCore.median([3, 1, 2]), 2);
+        assert.equal(MetricsCore.median([4, 1, 3, 2]), 2.5);
+        assert.equal(MetricsCore.median([]), null);
+    });
+
+    it('ranks a value among its peers, ties counting half', () => {
+        assert.equal(MetricsCore.percentileRank(20, [10, 20, 30, 40]), 37.5);
+        assert.equal(MetricsCore.percentileRank(20, [10, 20, 30, 40], true), 62.5);
+        assert.equal(MetricsCore.percentileRank(20, []), null);
+    });
+
+    it('benchmarks an employee against their team, TL group and site', () => {
+        const benchmarks = MetricsCore.calculatePeerBenchmarks(data, '1001');
+        assert.deepEqual(['team', 'tlGroup', 'site'].map(key => [benchmarks[key].label, benchmarks[key].employeeCount]),
+            [['Team 1 (Ann)', 2], ['TL Ann', 3], ['Site', 5]]);
+        assert.equal(benchmarks.values.totalVolume, 10);
+        assert.equal(benchmarks.team.medians.totalVolume, 15);
+        assert.equal(benchmarks.team.differences.totalVolume, -5);
+        assert.equal(benchmarks.team.percentiles.totalVolume, 0);
+        assert.equal(benchmarks.site.percentiles.overallAHT, 25);
+        assert.equal(benchmarks.team.daily.get('01/11/2025').totalVolume, 15);
+    });
+
+    it('benchmarks a team-less employee against the other team-less rows of their TL', () => {
+        const benchmarks = MetricsCore.calculatePeerBenchmarks(data, '1005');
+        assert.equal(benchmarks.team.label, 'Team N/A (Bob)');
+        assert.equal(benchmarks.team.employeeCount, 1);
+        assert.equal(benchmarks.tlGroup.employeeCount, 2);
+    });
+
+    it('returns null for an employee without rows', () => {
+        assert.equal(MetricsCore.calculatePeerBenchmarks(data, '9999'), null);
+    });
+});
+
+describe('time periods', () => {
+    it('numbers ISO weeks across year boundaries', () => {
+        assert.deepEqual(MetricsCore.isoWeek(new Date(2025, 10, 3)), { year: 2025, week: 45 });
+        assert.deepEqual(MetricsCore.isoWeek(new Date(2025, 11, 29)), { year: 2026, week: 1 });
+        assert.deepEqual(MetricsCore.isoWeek(new Date(2021, 0, 1)), { year: 2020, week: 53 });
+    });
+
+    it('finds the day, week or month of a date', () => {
+        const sunday = new Date(2025, 10, 9);
+        assert.deepEqual(MetricsCore.periodOf(sunday, 'week'), { key: '2025-W45', label: '2025-W45', start: new Date(2025, 10, 3), end: sunday });
+        assert.deepEqual(MetricsCore.periodOf(sunday, 'month'), { key: '2025-11', label: 'Nov 2025', start: new Date(2025, 10, 1), end: new Date(2025, 10, 30) });
+        assert.deepEqual(MetricsCore.periodOf(sunday, 'day'), { key: '2025-11-09', label: '09/11/2025', start: sunday, end: sunday });
+    });
+
+    it('counts the periods between two dates', () => {
+        const start = new Date(2025, 10, 5);
+        assert.equal(MetricsCore.periodOffset(start, new Date(2025, 10, 9), 'day'), 4);
+        assert.equal(MetricsCore.periodOffset(start, new Date(2025, 10, 10), 'week'), 1);
+        assert.equal(MetricsCore.periodOffset(start, new Date(2025, 10, 3), 'week'), 0);
+        assert.equal(MetricsCore.periodOffset(start, new Date(2026, 0, 1), 'month'), 2);
+        assert.equal(MetricsCore.periodOffset(start, new Date(2025, 9, 31), 'month'), -1);
+    });
+
+    it('aggregates per period and series', () => {
+        const data = [
+            row({ tl: 'Bob', date: '05/11/2025', notif: [30, 10] }),
+            row({ tl: 'Ann', date: '10/11/2025', notif: [20, 10] }),
+            row({ tl: 'Ann', date: '03/11/2025', notif: [10, 10] }),
+            row({ tl: 'Ann', date: '09/11/2025', notif: [5, 10] }),
+            row({ tl: 'Ann', date: 'n/a', notif: [99, 10] })
+        ];
+        const { periods, series } = MetricsCore.aggregateByPeriod(data, 'week', normalized => normalized.tl);
+        assert.deepEqual(periods.map(period => period.key), ['2025-W45', '2025-W46']);
+        assert.deepEqual(series.map(entry => [entry.name, Array.from(entry.points, ([key, point]) => [key, point.totalVolume])]), [
+            ['Ann', [['2025-W46', 20], ['2025-W45', 15]]],
+            ['Bob', [['2025-W45', 30]]]
+        ]);
+    });
+
+    it('aggregates per month with the period bounds', () => {
+        const data = [row({ date: '01/11/2025', notif: [10, 10] }), row({ date: '31/10/2025', notif: [20, 10] }), row({ date: '02/11/2025', notif: [5, 10] })];
+        const months = MetricsCore.aggregateByGranularity(data, 'month');
+        assert.deepEqual(months.map(month => [month.date, month.totalVolume]), [['Oct 2025', 20], ['Nov 2025', 15]]);
+        assert.deepEqual(months[1].periodEnd, new Date(2025, 10, 30));
+        assert.deepEqual(MetricsCore.aggregateByGranularity(data, 'day').map(day => day.date), ['31/10/2025', '01/11/2025', '02/11/2025']);
+    });
+});
+
+describe('shift analytics', () => {
+    const data = [
+        row({ empId: '1001', tl: 'Ann', shift: 'Morning', notif: [30, 10], room: [10, 5] }),
+        row({ empId: '1002', tl: 'Ann', shift: 'Night', notif: [20, 10] }),
+        row({ empId: '1003', tl: 'Bob', shift: 'Morning', date: '01/11/2025', notif: [40, 20] }),
+        row({ empId: '1003', tl: 'Bob', shift: 'Morning', date: '02/11/2025', notif: [20, 20] }),
+        row({ empId: '1004', tl: '', shift: '', notif: [5, 10] })
+    ];
+
+    it('breaks the volume, AHT and task mix down per shift', () => {
+        const shifts = MetricsCore.calculateShiftMetrics(data);
+        assert.deepEqual(shifts.map(shift => [shift.shift, shift.volume, shift.headcount, shift.employeeDays]),
+            [['Morning', 100, 2, 3], ['N/A', 5, 1, 1], ['Night', 20, 1, 1]]);
+        assert.equal(shifts[0].ahtByTask['Notification'], (30 * 10 + 40 * 20 + 20 * 20) / 90);
+        assert.deepEqual(shifts[0].taskMix, { 'Notification': 90, 'Room Status': 10, 'Zone Events': 0 });
+    });
+
+    it('builds a TL × shift matrix without the rows lacking a TL', () => {
+        const { tls, shifts, cells } = MetricsCore.calculateTLShiftMatrix(data);
+        assert.deepEqual(tls, ['Ann', 'Bob']);
+        assert.deepEqual(shifts, ['Morning', 'Night']);
+        assert.deepEqual(Array.from(cells, ([key, cell]) => [key, cell.volume]), [['Ann|Morning', 40], ['Ann|Night', 20], ['Bob|Morning', 60]]);
+        assert.equal(cells.get('Bob|Morning').volumePerEmployeeDay, 30);
+    });
+});
+
+describe('headcount-normalized productivity', () => {
+    const data = [
+        row({ empId: '1001', tl: 'Ann', team: '1', date: '01/11/2025', notif: [10, 10] }),
+        row({ empId: '1001', tl: 'Ann', team: '1', date: '02/11/2025', notif: [30, 10] }),
+        row({ empId: '1002', tl: 'Ann', team: '1', date: '01/11/2025', notif: [20, 10] }),
+        row({ empId: '#N/A', tl: 'Ann', team: '1', date: '01/11/2025', notif: [40, 10] }),
+        row({ empId: '1003', tl: 'Ann', team: '2', date: '01/11/2025', notif: [60, 10] })
+    ];
+
+    it('divides volume and handle time by active employees and employee-days', () => {
+        const [team1] = MetricsCore.calculateMetrics(data).tlMetrics;
+        assert.deepEqual([team1.team, team1.volume, team1.headcount, team1.employeeDays, team1.volumePerHead], ['1', 100, 2, 3, 50]);
+        assert.equal(team1.volumePerEmployeeDay, 100 / 3);
+        assert.equal(team1.handleTimePerEmployeeDay, 1000 / 3);
+    });
+
+    it('totals the productivity per TL across their teams', () => {
+        const [ann] = MetricsCore.calculateMetrics(data).tlTeamMap;
+        assert.deepEqual([ann.teams, ann.volume, ann.headcount, ann.employeeDays, ann.volumePerEmployeeDay], ['1, 2', 160, 3, 4, 40]);
+    });
+
+    it('leaves groups without valid EMP IDs at 0 per head', () => {
+        const [group] = MetricsCore.aggregateWithHeadcount([data[3]], normalized => normalized.tl, normalized => ({ tl: normalized.tl }));
+        assert.deepEqual([group.headcount, group.volumePerHead, group.volumePerEmployeeDay, group.handleTimePerEmployeeDay], [0, 0, 0, 0]);
+    });
+});
+
+describe('mix-adjusted AHT', () => {
+    const data = [
+        row({ empId: '1001', tl: 'Ann', notif: [10, 10], room: [10, 5] }),
+        row({ empId: '1002', tl: 'Bob', notif: [10, 30] })
+    ];
+
+    it('takes the site-standard AHT per task from the whole site', () => {
+        assert.deepEqual(MetricsCore.siteStandardAHT(data), { 'Notification': 20, 'Room Status': 5, 'Zone Events': 0 });
+    });
+
+    it('compares handle time with the standard time for the same task mix', () => {
+        const standards = MetricsCore.siteStandardAHT(data);
+        const index = rows => MetricsCore.mixAdjustedAHTIndex(MetricsCore.aggregateTotals(rows), standards);
+        assert.equal(index(data), 1);
+        assert.equal(index([data[0]]), 150 / 250);
+        assert.equal(index([data[1]]), 1.5);
+    });
+
+    it('is null without standards or volume', () => {
+        const totals = MetricsCore.aggregateTotals(data);
+        assert.equal(MetricsCore.mixAdjustedAHTIndex(totals), null);
+        assert.equal(MetricsCore.mixAdjustedAHTIndex(MetricsCore.aggregateTotals([]), MetricsCore.siteStandardAHT(data)), null);
+    });
+
+    it('scores a filtered dataset against the standards passed in', () => {
+        const standards = MetricsCore.siteStandardAHT(data);
+        assert.equal(MetricsCore.calculateMetrics([data[1]]).mixAdjustedIndex, 1);
+        assert.equal(MetricsCore.calculateMetrics([data[1]], standards).mixAdjustedIndex, 1.5);
+        assert.equal(MetricsCore.calculateMetrics(data).employeeMetrics.find(employee => employee.empId === '1001').mixAdjustedIndex, 0.6);
+    });
+});
+
+describe('TL and team assignments', () => {
+    const data = [
+        row({ empId: '1001', tl: 'Bob', team: '2', date: '05/11/2025', notif: [40, 10] }),
+        row({ empId: '1001', tl: 'Ann', team: '1', date: '01/11/2025', notif: [10, 10] }),
+        row({ empId: '1001', tl: '', team: '', date: '03/11/2025', notif: [30, 10] }),
+        row({ empId: '1001', tl: 'Ann', team: '1', date: '02/11/2025', notif: [20, 10] }),
+        row({ empId: '1002', tl: '', team: '', date: '01/11/2025', notif: [5, 10] }),
+        row({ empId: '1002', tl: 'Bob', team: '3', date: '02/11/2025', notif: [5, 10] }),
+        row({ empId: '1003', tl: 'Cy', team: 'N/A', notif: [5, 10] })
+    ];
+
+    it('splits an employee into assignments in date order', () => {
+        const [transferred] = MetricsCore.aggregateByEmployee(data);
+        assert.equal(transferred.transferred, true);
+        assert.deepEqual(transferred.assignments.map(segment => [segment.tl, segment.team, segment.startDate, segment.endDate, segment.days, segment.totalVolume]), [
+            ['Ann', '1', '01/11/2025', '03/11/2025', 3, 60],
+            ['Bob', '2', '05/11/2025', '05/11/2025', 1, 40]
+        ]);
+        assert.deepEqual([transferred.tl, transferred.team], ['Bob', '2']);
+    });
+
+    it('keeps leading rows without a TL and team in the first assignment', () => {
+        const employee = MetricsCore.aggregateByEmployee(data)[1];
+        assert.equal(employee.transferred, false);
+        assert.deepEqual(employee.assignments.map(segment => [segment.tl, segment.team, segment.startDate, segment.days]), [['Bob', '3', '01/11/2025', 2]]);
+    });
+
+    it("keeps an unknown team as '' so it matches the rows", () => {
+        const employee = MetricsCore.aggregateByEmployee(data)[2];
+        assert.deepEqual([employee.tl, employee.team], ['Cy', '']);
+    });
+
+    it('maps each employee to their assignments', () => {
+        const assignments = MetricsCore.employeeAssignments(data);
+        assert.deepEqual(Array.from(assignments, ([empId, segments]) => [empId, segments.length]), [['1001', 2], ['1002', 1], ['1003', 1]]);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for rules_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RulesCore = require('../rules_core.js');
+const MetricsCore = require('../metrics_core.js');
+const { row } = require('./fixtures.js');
+
+describe('rules configuration', () => {
+    it('fills in the defaults of a rule', () => {
+        assert.deepEqual(RulesCore.normalizeRule({ name: ' Target ', teams: [3, ' '], dailyVolume: '1200', maxAHT: { 'Notification': '30', 'Zone Events': '' } }), {
+            name: 'Target',
+            teams: ['3'],
+            tls: [],
+            shifts: [],
+            effectiveFrom: '',
+            effectiveTo: '',
+            dailyVolume: 1200,
+            maxAHT: { 'Notification': 30 }
+        });
+    });
+
+    it('accepts the default configuration', () => {
+        assert.deepEqual(RulesCore.validateRulesConfig(RulesCore.DEFAULT_RULES_CONFIG), []);
+    });
+
+    it('lists the problems of an invalid configuration', () => {
+        assert.deepEqual(RulesCore.validateRulesConfig({}), ['The configuration must be an object with a "rules" array.']);
+        assert.deepEqual(RulesCore.validateRulesConfig({ rules: [
+            { teams: '3', dailyVolume: 100 },
+            { effectiveFrom: '2025-12-01', effectiveTo: '2025-11-01', dailyVolume: -1 },
+            { maxAHT: { 'Calls': 20 } },
+            { name: 'Empty' }
+        ] }), [
+            'Rule 1: "teams" must be a list.',
+            'Rule 2: the effective start date is after the end date.',
+            'Rule 2: the daily volume target must be a number of 0 or more.',
+            'Rule 3: unknown task type "Calls" in "maxAHT".',
+            'Rule 3 sets no target.',
+            'Rule 4 sets no target.'
+        ]);
+    });
+
+    it('parses a JSON configuration', () => {
+        const config = RulesCore.parseRulesConfig('{"rules": [{"teams": ["1"], "dailyVolume": 50}]}');
+        assert.equal(config.version, RulesCore.RULES_CONFIG_VERSION);
+        assert.equal(config.rules[0].dailyVolume, 50);
+        assert.throws(() => RulesCore.parseRulesConfig('{rules'), /not valid JSON/);
+        assert.throws(() => RulesCore.parseRulesConfig('{"rules": [{}]}'), /sets no target/);
+    });
+});
+
+describe('rule evaluation', () => {
+    const rule = fields => RulesCore.normalizeRule({ dailyVolume: 10, ...fields });
+
+    it('applies rules by team, TL, shift and effective dates', () => {
+        const normalized = MetricsCore.normalizeRow(row({ team: '3', tl: 'Ann', shift: 'Night', date: '05/11/2025' }));
+        assert.equal(RulesCore.ruleAppliesToRow(rule({ teams: ['3'], tls: ['Ann'], shifts: ['Night'] }), normalized), true);
+        assert.equal(RulesCore.ruleAppliesToRow(rule({ teams: ['4'] }), normalized), false);
+        assert.equal(RulesCore.ruleAppliesToRow(rule({ effectiveFrom: '2025-11-05', effectiveTo: '2025-11-05' }), normalized), true);
+        assert.equal(RulesCore.ruleAppliesToRow(rule({ effectiveFrom: '2025-11-06' }), normalized), false);
+    });
+
+    it('describes the scope of a rule', () => {
+        assert.equal(RulesCore.describeRuleScope(rule({ teams: ['3', '4'], shifts: ['A'], effectiveFrom: '2025-11-01' })), 'Teams 3, 4 · Shift A · from 2025-11-01');
+        assert.equal(RulesCore.describeRuleScope(rule({})), 'Everyone');
+    });
+
+    it("checks an employee's rows against each rule that applies", () => {
+        const config = { rules: [
+            { name: 'Volume', dailyVolume: 100, maxAHT: { 'Notification': 15, 'Zone Events': 5 } },
+            { name: 'Other team', teams: ['9'], dailyVolume: 1 }
+        ] };
+        const data = [row({ date: '01/11/2025', notif: [120, 10] }), row({ date: '02/11/2025', notif: [60, 22] })];
+        const [result, ...others] = RulesCore.evaluateRules(config, data);
+        assert.deepEqual(others, []);
+        assert.equal(result.days, 2);
+        assert.deepEqual(result.checks, [
+            { label: 'Average daily volume', actual: 90, target: 100, passed: false },
+            { label: 'Notification AHT (s)', actual: 14, target: 15, passed: true }
+        ]);
+    });
+});
+
+describe('target attainment', () => {
+    const config = { rules: [
+        { name: 'Site', dailyVolume: 100 },
+        { name: 'Team 2', teams: ['2'], dailyVolume: 50 },
+        { name: 'AHT only', teams: ['3'], maxAHT: { 'Notification': 10 } }
+    ] };
+
+    it('lets the last applicable rule set the daily target', () => {
+        const rules = config.rules.map(RulesCore.normalizeRule);
+        assert.equal(RulesCore.dailyVolumeTargetFor(rules, MetricsCore.normalizeRow(row({ team: '1' }))), 100);
+        assert.equal(RulesCore.dailyVolumeTargetFor(rules, MetricsCore.normalizeRow(row({ team: '2' }))), 50);
+        assert.equal(RulesCore.dailyVolumeTargetFor([rules[2]], MetricsCore.normalizeRow(row({ team: '3' }))), null);
+    });
+
+    it('marks employee-days met or missed with streaks and per-team totals', () => {
+        const volumes = [120, 80, 90, 150, 40, 30];
+        const data = [
+            ...volumes.map((volume, index) => row({ date: `0${index + 1}/11/2025`, notif: [volume, 10] })),
+            row({ empId: '1002', name: 'Emp2', team: '2', notif: [60, 10] }),
+            row({ empId: '#N/A', notif: [500, 10] })
+        ];
+        const { employees, tlTeams } = RulesCore.calculateAttainment(config, data);
+        const [emp1, emp2] = employees;
+        assert.equal(employees.length, 2);
+        assert.deepEqual(emp1.days.map(day => day.met), [true, false, false, true, false, false]);
+        assert.equal(emp1.metDays, 2);
+        assert.equal(emp1.trackedDays, 6);
+        assert.equal(emp1.currentBelowStreak, 2);
+        assert.equal(emp1.longestBelowStreak, 2);
+        assert.deepEqual([emp2.days[0].target, emp2.attainmentPct], [50, 100]);
+        assert.deepEqual(tlTeams.map(group => [group.team, group.employees, group.metDays, group.trackedDays]), [['1', 1, 2, 6], ['2', 1, 1, 1]]);
+    });
+
+    it('does not track days without a target', () => {
+        const { employees } = RulesCore.calculateAttainment({ rules: [config.rules[2]] }, [row({ team: '3', notif: [10, 5] })]);
+        assert.deepEqual([employees[0].days[0].met, employees[0].trackedDays, employees[0].attainmentPct], [null, 0, null]);
+    });
+
+    it('sums the days of each week against the summed targets', () => {
+        const days = [
+            { date: '03/11/2025', volume: 120, target: 100, met: true },
+            { date: '04/11/2025', volume: 50, target: 100, met: false },
+            { date: '10/11/2025', volume: 0, target: null, met: null }
+        ];
+        assert.deepEqual(RulesCore.attainmentByPeriod(days, 'week'), [
+            { date: '2025-W45', volume: 170, target: 200, workingDays: 2, met: false },
+            { date: '2025-W46', volume: 0, target: null, workingDays: 0, met: null }
+        ]);
+        assert.deepEqual(RulesCore.attainmentByPeriod(days, 'day').map(day => day.workingDays), [1, 1, 0]);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for table_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TableCore = require('../table_core.js');
+
+describe('data tables', () => {
+    const columns = [
+        { key: 'name' },
+        { key: 'team', value: row => (row.team ? `Team ${row.team}` : '') },
+        { key: 'volume' }
+    ];
+    const rows = [
+        { name: 'Emp3', team: '10', volume: 5 },
+        { name: 'emp1', team: '', volume: null },
+        { name: 'Emp2', team: '2', volume: 40 },
+        { name: 'Emp10', team: '1', volume: 300 }
+    ];
+    const sorted = (key, direction) => TableCore.visibleRows(rows, columns, { sort: { key, direction } }).map(row => row.name);
+
+    it('sorts numbers numerically with empty values last in both directions', () => {
+        assert.deepEqual(sorted('volume', 'asc'), ['Emp3', 'Emp2', 'Emp10', 'emp1']);
+        assert.deepEqual(sorted('volume', 'desc'), ['Emp10', 'Emp2', 'Emp3', 'emp1']);
+    });
+
+    it('sorts text with embedded numbers in numeric order', () => {
+        assert.deepEqual(sorted('name', 'asc'), ['emp1', 'Emp2', 'Emp3', 'Emp10']);
+        assert.deepEqual(sorted('team', 'asc'), ['Emp10', 'Emp2', 'Emp3', 'emp1']);
+        assert.deepEqual(sorted('team', 'desc'), ['Emp3', 'Emp2', 'Emp10', 'emp1']);
+    });
+
+    it('keeps the order for no or an unknown sort column', () => {
+        assert.deepEqual(TableCore.visibleRows(rows, columns).map(row => row.name), ['Emp3', 'emp1', 'Emp2', 'Emp10']);
+        assert.deepEqual(sorted('removed', 'asc'), ['Emp3', 'emp1', 'Emp2', 'Emp10']);
+    });
+
+    it('searches case-insensitively before sorting', () => {
+        const view = { search: ' EMP1', searchText: row => `${row.name} ${row.team}`, sort: { key: 'name', direction: 'desc' } };
+        assert.deepEqual(TableCore.visibleRows(rows, columns, view).map(row => row.name), ['Emp10', 'emp1']);
+        assert.equal(TableCore.visibleRows(rows, columns, { search: 'emp1' }).length, 4);
+    });
+
+    it('does not modify the rows', () => {
+        TableCore.visibleRows(rows, columns, { sort: { key: 'volume', direction: 'asc' } });
+        assert.equal(rows[0].name, 'Emp3');
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for url_state_core.js. Run with `node --test test/`.
+ */
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlStateCore = require('../url_state_core.js');
+
+describe('URL filter state', () => {
+    const filters = {
+        ...UrlStateCore.FILTER_DEFAULTS,
+        startDate: '2025-11-01', tl: 'Ann Lee', team: '3', compare: 'custom', compareStart: '2025-10-01', compareEnd: '2025-10-07', granularity: 'week'
+    };
+
+    it('leaves filters at their default value out of the query', () => {
+        assert.equal(UrlStateCore.filtersToQuery(UrlStateCore.FILTER_DEFAULTS), '');
+        assert.equal(UrlStateCore.filtersToQuery({ tl: 'Ann', team: 'all', empId: undefined, shift: null }), 'tl=Ann');
+    });
+
+    it('round-trips a filter state', () => {
+        const query = UrlStateCore.filtersToQuery(filters);
+        assert.equal(query, 'start=2025-11-01&tl=Ann+Lee&team=3&compare=custom&cstart=2025-10-01&cend=2025-10-07&period=week');
+        assert.deepEqual(UrlStateCore.filtersFromQuery(`?${query}`), filters);
+    });
+
+    it('fills in the defaults and ignores unknown parameters and values', () => {
+        assert.deepEqual(UrlStateCore.filtersFromQuery('?emp=1002&utm_source=mail&period=fortnight&compare=yesterday&start=01%2F11%2F2025&task=Calls'),
+            { ...UrlStateCore.FILTER_DEFAULTS, empId: '1002' });
+    });
+
+    it('finds no filters in a query without any', () => {
+        assert.equal(UrlStateCore.filtersFromQuery(''), null);
+        assert.equal(UrlStateCore.filtersFromQuery('?utm_source=mail'), null);
+    });
+
+    it('restores the defaults for a history entry without filters', () => {
+        assert.deepEqual(UrlStateCore.historyEntryFilters(''), UrlStateCore.FILTER_DEFAULTS);
+        assert.deepEqual(UrlStateCore.historyEntryFilters('?tl=Bob'), { ...UrlStateCore.FILTER_DEFAULTS, tl: 'Bob' });
+    });
+});
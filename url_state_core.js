@@ -0,0 +1,100 @@
+/**
+ * Filter state of the dashboards as a URL query string and back, so links
+ * and the browser's back/forward buttons carry the filters (see the URL
+ * STATE section of dashboard_common.js).
+ *
+ * Like metrics_core.js this file is DOM-free: in the browser it exposes
+ * `window.UrlStateCore`, under Node it can be `require()`d.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.UrlStateCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const MetricsCore = typeof module === 'object' && module.exports
+        ? require('./metrics_core.js')
+        : root.MetricsCore;
+
+    // Query parameter used for each filter, and the value that is left out of the URL
+    const FILTER_PARAMS = {
+        startDate: 'start', endDate: 'end', tl: 'tl', team: 'team', shift: 'shift', task: 'task', empId: 'emp',
+        compare: 'compare', compareStart: 'cstart', compareEnd: 'cend', granularity: 'period'
+    };
+    const FILTER_DEFAULTS = {
+        startDate: '', endDate: '', tl: 'all', team: 'all', shift: 'all', task: 'all', empId: 'none',
+        compare: 'none', compareStart: '', compareEnd: '', granularity: 'day'
+    };
+
+    const isInputDate = value => MetricsCore.parseInputDate(value) !== null;
+    const oneOf = values => value => values.includes(value);
+
+    // Values a filter accepts from a URL; others fall back to the default. TL,
+    // team, shift and EMP ID depend on the data and are checked when applied.
+    const FILTER_CHECKS = {
+        startDate: isInputDate,
+        endDate: isInputDate,
+        task: oneOf(['all', ...MetricsCore.TASK_TYPES.map(task => task.key)]),
+        compare: oneOf(['none', 'previous', 'lastMonth', 'custom']),
+        compareStart: isInputDate,
+        compareEnd: isInputDate,
+        granularity: oneOf(['day', 'week', 'month'])
+    };
+
+    /**
+     * Encodes a filter state as a query string (without the leading '?').
+     * Filters at their default value are left out.
+     * @param {Object} filters - e.g. { startDate, endDate, tl, team, empId }.
+     * @returns {string}
+     */
+    function filtersToQuery(filters) {
+        const params = new URLSearchParams();
+        Object.keys(FILTER_PARAMS).forEach(key => {
+            const value = filters[key];
+            if (value !== undefined && value !== null && value !== FILTER_DEFAULTS[key]) {
+                params.set(FILTER_PARAMS[key], value);
+            }
+        });
+        return params.toString();
+    }
+
+    /**
+     * Decodes the filter state of a query string. Unknown parameters are
+     * ignored; missing or invalid values get the default.
+     * @param {string} search - e.g. window.location.search.
+     * @returns {Object|null} Every filter, or null when the query carries none.
+     */
+    function filtersFromQuery(search) {
+        const params = new URLSearchParams(search);
+        if (!Object.values(FILTER_PARAMS).some(param => params.has(param))) return null;
+
+        const filters = {};
+        Object.keys(FILTER_PARAMS).forEach(key => {
+            const value = params.get(FILTER_PARAMS[key]);
+            const valid = value !== null && (!FILTER_CHECKS[key] || FILTER_CHECKS[key](value));
+            filters[key] = valid ? value : FILTER_DEFAULTS[key];
+        });
+        return filters;
+    }
+
+    /**
+     * Filter state to restore when the browser returns to a history entry:
+     * an entry without filters in its URL had every filter at its default.
+     * @param {string} search - The entry's query string.
+     * @returns {Object}
+     */
+    function historyEntryFilters(search) {
+        return filtersFromQuery(search) || { ...FILTER_DEFAULTS };
+    }
+
+    return {
+        FILTER_PARAMS,
+        FILTER_DEFAULTS,
+        filtersToQuery,
+        filtersFromQuery,
+        historyEntryFilters
+    };
+}));